@@ -10,6 +10,8 @@
 
 const ResourceHandlersFactory = require('./lib/resource-handlers-factory.js');
 const searchQueryParser = require('./lib/search-query-parser.js');
+const searchQuerySerializer = require('./lib/search-query-serializer.js');
+const idempotencyStores = require('./lib/idempotency-stores.js');
 
 
 // export the base handler classes
@@ -33,6 +35,19 @@ exports.createResourceHandlersFactory = function(
 
 // export search query parser
 exports.parseSearchQuery = searchQueryParser.parseSearchQuery;
+exports.QuerySyntaxError = searchQueryParser.QuerySyntaxError;
+exports.QueryLimitError = searchQueryParser.QueryLimitError;
+exports.completeCursorPage = searchQueryParser.completeCursorPage;
+exports.parseTextSearchProps = searchQueryParser.parseTextSearchProps;
+
+// export search query serializer
+exports.buildSearchQueryString = searchQuerySerializer.buildSearchQueryString;
+
+// export idempotency stores
+exports.createMemoryIdempotencyStore =
+	idempotencyStores.createMemoryIdempotencyStore;
+exports.createRecordIdempotencyStore =
+	idempotencyStores.createRecordIdempotencyStore;
 
 /**
  * Validators to use on auto-assigned required properties in the record types
@@ -6,6 +6,7 @@ const dbos = require('x2node-dbos');
 const patches = require('x2node-patches');
 
 const TransactionContext = require('./transaction-context.js');
+const DBOCache = require('./dbo-cache.js');
 
 
 /**
@@ -75,6 +76,14 @@ class AbstractResourceHandler {
 		 */
 		this._txFactory = dboFactory.createTxFactory(ds);
 
+		/**
+		 * Cache of the DBOs built for the requests.
+		 *
+		 * @protected
+		 * @member {module:x2node-ws-resources~DBOCache}
+		 */
+		this._dboCache = new DBOCache(dboFactory, this._options.dboCacheSize);
+
 		const rsrcPathParts = rsrcPath.split('<-');
 		/**
 		 * Record type name.
@@ -190,6 +199,17 @@ class AbstractResourceHandler {
 			this.configure();
 	}
 
+	/**
+	 * Get statistics of the handler's cache of the DBOs built for the
+	 * requests.
+	 *
+	 * @returns {module:x2node-ws-resources~DBOCache~Stats} Cache statistics.
+	 */
+	getDBOCacheStats() {
+
+		return this._dboCache.getStats();
+	}
+
 	/**
 	 * Add uplink filters to the provided filters list.
 	 *
@@ -218,6 +238,64 @@ class AbstractResourceHandler {
 		return filters;
 	}
 
+	/**
+	 * Build query specification for the fetch DBO that gets the parent record id
+	 * based on the uplink URI parameters and used to check parent records
+	 * existence.
+	 *
+	 * @protected
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {number} lastUplinkParamInd Index of the last uplink URI parameter
+	 * from the end (-1 is for the last URI param, -2 is for the one before the
+	 * last, etc.).
+	 * @param {Object} record The record.
+	 * @param {Object.<string,*>} queryParams Query parameters object that is
+	 * populated by this method.
+	 * @returns {Object} Query specification for the fetch DBO.
+	 */
+	_buildParentRecordFetchQuerySpec(
+		call, lastUplinkParamInd, record, queryParams) {
+
+		const filter = new Array();
+		const uriParams = call.uriParams;
+		lastUplinkParamInd += uriParams.length;
+		for (let i = 0, len = this._uplinkChain.length; i < len; i++) {
+			const uplink = this._uplinkChain[i];
+			if ((uplink.uriParamOffset === null) && (i === 0)) {
+				const idString = record[uplink.propPath].substring(
+					uplink.recordTypeDesc.name.length + 1);
+				const idPropDesc = uplink.recordTypeDesc.getPropertyDesc(
+					uplink.recordTypeDesc.idPropertyName);
+				queryParams['pid'] = (
+					idPropDesc.scalarValueType === 'number' ?
+						Number(idString) : idString);
+				filter.push([
+					uplink.recordTypeDesc.idPropertyName,
+					dbos.param('pid')
+				]);
+			} else {
+				const uriParamInd = lastUplinkParamInd + uplink.uriParamOffset;
+				const paramName = 'uri' + uriParamInd;
+				queryParams[paramName] = uplink.value(uriParams[uriParamInd]);
+				filter.push([
+					(
+						i > 0 ?
+							uplink.propPath.substring(
+								uplink.propPath.indexOf('.') + 1) :
+							uplink.recordTypeDesc.idPropertyName
+					),
+					dbos.param(paramName)
+				]);
+			}
+		}
+
+		return {
+			props: [],
+			filter: filter,
+			lock: 'shared'
+		};
+	}
+
 	/**
 	 * Create new transaction context object.
 	 *
@@ -313,10 +391,13 @@ class AbstractResourceHandler {
 	 * @param {string} [etag] The matching ETag, if any.
 	 * @param {Date} [lastModified] The mathing last modification timestamp, if
 	 * any.
+	 * @param {boolean} [safe] <code>true</code> to treat the call as a safe
+	 * read request regardless of the HTTP method. By default, only
+	 * <code>GET</code> and <code>HEAD</code> requests are safe.
 	 * @returns {module:x2node-ws.ServiceResponse} Service response if execution
 	 * of the call can/must be stoped, or nothing if it needs to continue.
 	 */
-	_evaluatePreconditions(call, etag, lastModified) {
+	_evaluatePreconditions(call, etag, lastModified, safe) {
 
 		const requestHeaders = call.httpRequest.headers;
 		let val;
@@ -336,9 +417,11 @@ class AbstractResourceHandler {
 				});
 		}
 		const httpMethod = call.httpRequest.method;
+		if ((httpMethod === 'GET') || (httpMethod === 'HEAD'))
+			safe = true;
 		if ((val = requestHeaders['if-none-match']) !== undefined) {
 			if (this._matchETag(val, etag, true)) {
-				if ((httpMethod === 'GET') || (httpMethod === 'HEAD')) {
+				if (safe) {
 					const response = ws.createResponse(304);
 					response.setHeader('ETag', etag);
 					if (lastModified)
@@ -351,7 +434,7 @@ class AbstractResourceHandler {
 				});
 			}
 		} else if ((val = requestHeaders['if-modified-since']) !== undefined) {
-			if ((httpMethod === 'GET') || (httpMethod === 'HEAD')) {
+			if (safe) {
 				const date = (new Date(val)).getTime();
 				if (!Number.isNaN(date) && lastModified &&
 					(lastModified.getTime() > date)) {
@@ -1,5 +1,9 @@
 'use strict';
 
+const querystring = require('querystring');
+const crypto = require('crypto');
+const stream = require('stream');
+
 const common = require('x2node-common');
 const ws = require('x2node-ws');
 const dbos = require('x2node-dbos');
@@ -7,7 +11,191 @@ const validators = require('x2node-validators');
 
 const AbstractResourceHandler = require('./abstract-resource-handler.js');
 const searchQueryParser = require('./search-query-parser.js');
+const csvWriter = require('./csv-writer.js');
+const idempotencyStores = require('./idempotency-stores.js');
+const relativeDates = require('./relative-dates.js');
+
 
+/**
+ * Newline-delimited JSON content type.
+ *
+ * @private
+ * @constant {string}
+ */
+const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+
+/**
+ * Representations supported for the search responses, default first.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const SEARCH_REPRESENTATIONS = [
+	'application/json', NDJSON_CONTENT_TYPE, 'text/csv'
+];
+
+/**
+ * Content type of the search query documents in the <code>POST</code> search
+ * requests.
+ *
+ * @private
+ * @constant {string}
+ */
+const SEARCH_QUERY_CONTENT_TYPE = 'application/x-search-query+json';
+
+/**
+ * Transaction context properties that are specific to the individual record
+ * in a bulk create call.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const BULK_CREATE_ITEM_PROPS = [
+	'recordTmpl', 'parentQuerySpec', 'parentQueryParams', 'parentRecord'
+];
+
+/**
+ * Default number of records fetched from the database at a time when the
+ * search result is streamed as newline-delimited JSON.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_NDJSON_CHUNK_SIZE = 100;
+
+/**
+ * Default time in milliseconds a newline-delimited JSON search result stream
+ * waits to be read before the streaming transaction is rolled back.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_NDJSON_IDLE_TIMEOUT = 60000;
+
+/**
+ * Default maximum number of matching records used to calculate facet counts
+ * and distinct values.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_MAX_FACET_RECORDS = 10000;
+
+/**
+ * Create stream that serializes search result as newline-delimited JSON. Each
+ * matched record is written on its own line. The records are fetched in
+ * chunks as the stream is read, and each chunk's records are followed by a
+ * line with the chunk's <code>referredRecords</code> object, if any. The last
+ * line contains the rest of the first chunk's result object, including the
+ * <code>recordTypeName</code> and the super-aggregates.
+ *
+ * @private
+ * @param {module:x2node-dbos~FetchDBO~Result} result The search result with
+ * the first chunk of records.
+ * @param {function} fetchNextChunk Function that returns a promise of the
+ * search result with the next chunk of records, or of <code>null</code> if
+ * there are no more records.
+ * @param {number} idleTimeout Time in milliseconds the stream waits for the
+ * consumer to read it before giving up, or zero for no limit.
+ * @param {function} done Function called once when the stream is fully read,
+ * aborted or timed out. Receives an error as its only argument if fetching a
+ * chunk fails or the stream times out.
+ * @returns {Object} Object with <code>stream</code> property for the stream
+ * and <code>abort</code> function that stops the stream without fetching any
+ * more chunks.
+ */
+function createNDJSONStream(result, fetchNextChunk, idleTimeout, done) {
+
+	// current chunk
+	let records = (result.records || []);
+	let referredRecords = result.referredRecords;
+	let nextRecordInd = 0;
+	let lastChunk = false;
+
+	// stream state
+	let fetching = false, abortRequested = false, finished = false, idleTimer;
+	const finish = err => {
+		if (!finished) {
+			finished = true;
+			clearTimeout(idleTimer);
+			done(err);
+		}
+	};
+	const waitForRead = () => {
+		if (idleTimeout > 0)
+			idleTimer = setTimeout(() => finish(new common.X2DataError(
+				'Newline-delimited JSON stream was not read within' +
+					` ${idleTimeout} milliseconds.`)), idleTimeout);
+	};
+
+	// create the stream
+	const ndjsonStream = new stream.Readable({
+		read() {
+			clearTimeout(idleTimer);
+			let more = true;
+			while (more && !fetching && !finished) {
+				if (nextRecordInd < records.length) {
+					more = this.push(
+						JSON.stringify(records[nextRecordInd++]) + '\n');
+				} else if (referredRecords) {
+					more = this.push(
+						JSON.stringify({ referredRecords }) + '\n');
+					referredRecords = undefined;
+				} else if (!lastChunk) {
+					fetching = true;
+					fetchNextChunk().then(
+						chunk => {
+							fetching = false;
+							if (abortRequested)
+								return finish();
+							if (chunk) {
+								records = (chunk.records || []);
+								referredRecords = chunk.referredRecords;
+								nextRecordInd = 0;
+							} else {
+								lastChunk = true;
+							}
+							this._read();
+						},
+						err => {
+							fetching = false;
+							finish(err);
+						}
+					);
+				} else {
+					const summary = new Object();
+					for (let propName of Object.keys(result))
+						if ((propName !== 'records') &&
+							(propName !== 'referredRecords'))
+							summary[propName] = result[propName];
+					this.push(JSON.stringify(summary) + '\n');
+					this.push(null);
+					more = false;
+				}
+			}
+			if (!fetching && !finished)
+				waitForRead();
+		}
+	});
+
+	// finish the stream when it is fully read
+	ndjsonStream.on('end', () => finish());
+
+	// wait for the first read
+	waitForRead();
+
+	// return the stream and the abort function, which lets the chunk being
+	// fetched complete first
+	return {
+		stream: ndjsonStream,
+		abort: () => {
+			if (fetching)
+				abortRequested = true;
+			else
+				finish();
+		}
+	};
+}
 
 /**
  * Standard collection resource web wervice endpoint handler.
@@ -25,10 +213,46 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 	 * @param {module:x2node-dbos~DBOFactory} dboFactory DBO factory.
 	 * @param {string} rsrcPath Resource path.
 	 * @param {Object} [options] Options.
+	 * @throws {common.X2UsageError} If the time zone in the options is invalid.
 	 */
 	constructor(ds, dboFactory, rsrcPath, options) {
 		super(ds, dboFactory, rsrcPath, options);
 
+		// search records range limits
+		this._rangeLimits = {
+			defaultRange: this._options.get.defaultRange,
+			maxRange: this._options.get.maxRange,
+			rangeOverflow: this._options.get.rangeOverflow
+		};
+
+		// property paths allowed in the search queries
+		this._searchWhitelist = null;
+
+		// free-text search filter tests
+		this._textSearch = null;
+
+		// named search query presets
+		this._searchPresets = new Map();
+
+		// search using POST with a query document
+		this._postSearch = false;
+
+		// bulk create options, if bulk create is enabled
+		this._bulkCreate = null;
+
+		// store of the responses to the requests with an idempotency key, if any
+		this._idempotencyStore = (
+			this._options.post.idempotencyStore !== undefined ?
+				this._options.post.idempotencyStore :
+				idempotencyStores.createMemoryIdempotencyStore());
+
+		// store keys of the idempotent requests in progress
+		this._idempotentRequestsInProgress = new Set();
+
+		// time zone for relative dates in the search filters
+		if (this._options.timeZone)
+			relativeDates.checkTimeZone(this._options.timeZone);
+
 		// reusable DBO for fetching new record after POST
 		this._newRecordFetchDBO = dboFactory.buildFetch(
 			this._recordTypeName, {
@@ -48,6 +272,189 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 		this.PATCH = this._BULK_PATCH;
 	}
 
+	/**
+	 * Enable bulk record creation by allowing an array of record templates in
+	 * the <code>POST</code> request body. Can be called from the handler
+	 * extension's <code>configure()</code> method.
+	 *
+	 * @param {Object} [options] Bulk create options.
+	 * @param {string} [options.mode] Either "atomic" (the default), in which
+	 * case no records are created if any of the submitted record templates is
+	 * invalid, or "partial", in which case the valid records are created and
+	 * the invalid ones are reported in the response. In both modes, all
+	 * records are inserted in a single transaction, so a failed insert fails
+	 * the whole request.
+	 * @param {number} [options.maxRecords] Maximum number of record templates
+	 * allowed in a single request. If not specified, the number is not limited.
+	 * @throws {common.X2UsageError} If the options are invalid.
+	 */
+	enableBulkCreate(options) {
+
+		const mode = ((options && options.mode) || 'atomic');
+		if ((mode !== 'atomic') && (mode !== 'partial'))
+			throw new common.X2UsageError(
+				`Invalid bulk create mode "${mode}".`);
+
+		const maxRecords = (options && options.maxRecords);
+		if ((maxRecords !== undefined) &&
+			(!Number.isInteger(maxRecords) || (maxRecords < 1)))
+			throw new common.X2UsageError(
+				'Invalid bulk create maximum number of records.');
+
+		this._bulkCreate = {
+			mode: mode,
+			maxRecords: maxRecords
+		};
+	}
+
+	/**
+	 * Enable search using <code>POST</code> requests with a JSON search query
+	 * document in the body. Can be called from the handler extension's
+	 * <code>configure()</code> method. A <code>POST</code> request is a search
+	 * request if its entity content type is "application/x-search-query+json",
+	 * or if the request URI path ends with "/search", in which case the
+	 * application must map such URI to the collection resource handler.
+	 */
+	enablePostSearch() {
+
+		this._postSearch = true;
+	}
+
+	/**
+	 * Set store for the responses to the record creation requests made with an
+	 * <code>Idempotency-Key</code> header, overriding the one provided with the
+	 * <code>post.idempotencyStore</code> handler option. Can be called from the
+	 * handler extension's <code>configure()</code> method. Note that the
+	 * requests in progress are tracked by the handler in memory, and that the
+	 * response is saved in the store after the record creation transaction is
+	 * committed. So, with multiple application instances or if the
+	 * application fails between the two, a retried request may still create
+	 * the records again.
+	 *
+	 * @param {?module:x2node-ws-resources.IdempotencyStore} store The store, or
+	 * <code>null</code> to ignore the <code>Idempotency-Key</code> header.
+	 */
+	setIdempotencyStore(store) {
+
+		this._idempotencyStore = store;
+	}
+
+	/**
+	 * Set records range limits for the search, overriding the ones provided with
+	 * the handler options. Can be called from the handler extension's
+	 * <code>configure()</code> method.
+	 *
+	 * @param {Object} limits Range limits. May include
+	 * <code>defaultRange</code>, <code>maxRange</code> and
+	 * <code>rangeOverflow</code> properties with the same meaning as the
+	 * corresponding <code>get</code> handler options. Properties not included
+	 * in the object are left unchanged.
+	 */
+	setRangeLimits(limits) {
+
+		for (let limitName of Object.keys(this._rangeLimits)) {
+			if (limits[limitName] !== undefined)
+				this._rangeLimits[limitName] = limits[limitName];
+		}
+	}
+
+	/**
+	 * Restrict properties that can be used in the search queries. Can be called
+	 * from the handler extension's <code>configure()</code> method. Queries
+	 * that use properties not allowed by the whitelist are rejected with an
+	 * HTTP 400 (Bad Request) response. The whitelist also applies to the filter
+	 * of the bulk update operation.
+	 *
+	 * @param {module:x2node-ws-resources~SearchWhitelist} whitelist The
+	 * whitelist.
+	 */
+	setSearchWhitelist(whitelist) {
+
+		this._searchWhitelist = whitelist;
+	}
+
+	/**
+	 * Enable free-text search using "q" URL query string parameter. Can be
+	 * called from the handler extension's <code>configure()</code> method.
+	 *
+	 * @param {Array.<string>} propRefs References of the properties searched
+	 * for the terms. See
+	 * [parseTextSearchProps()]{@link module:x2node-ws-resources.parseTextSearchProps}
+	 * for the format.
+	 * @throws {common.X2UsageError} If any of the references is invalid.
+	 */
+	setTextSearchProps(propRefs) {
+
+		this._textSearch = searchQueryParser.parseTextSearchProps(
+			this._recordTypeDesc, propRefs);
+	}
+
+	/**
+	 * Register named search query preset that clients can select with "preset"
+	 * URL query string parameter. Can be called from the handler extension's
+	 * <code>configure()</code> method.
+	 *
+	 * @param {string} name Preset name.
+	 * @param {module:x2node-ws-resources~SearchPreset} preset The preset.
+	 * @throws {common.X2UsageError} If the preset is invalid.
+	 */
+	addSearchPreset(name, preset) {
+
+		// validate the preset by building a DBO for it
+		try {
+			this._dboFactory.buildFetch(this._recordTypeName, {
+				props: preset.props,
+				filter: preset.filter,
+				order: preset.order,
+				range: preset.range
+			});
+		} catch (err) {
+			if (err instanceof common.X2SyntaxError)
+				throw new common.X2UsageError(
+					`Invalid search preset "${name}": ${err.message}`);
+			throw err;
+		}
+
+		// register the preset
+		this._searchPresets.set(name, preset);
+	}
+
+	/**
+	 * Get representations supported by the handler for the call. Search results
+	 * can be returned as JSON (the default), as newline-delimited JSON or as
+	 * CSV. Distinct values are returned only as JSON.
+	 *
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @returns {Array.<string>} Supported content types, default first.
+	 */
+	getRepresentations(call) {
+
+		return (
+			((call.method === 'GET') &&
+				(call.requestUrl.query.distinct === undefined)) ||
+				this._isSearchCall(call) ?
+				SEARCH_REPRESENTATIONS : [ 'application/json' ]);
+	}
+
+	/**
+	 * Tell if the call is a <code>POST</code> search request.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @returns {boolean} <code>true</code> if search with a query document.
+	 */
+	_isSearchCall(call) {
+
+		if (!this._postSearch || (call.method !== 'POST'))
+			return false;
+
+		const contentType = (call.httpRequest.headers['content-type'] || '')
+			.split(';')[0].trim().toLowerCase();
+
+		return ((contentType === SEARCH_QUERY_CONTENT_TYPE) ||
+			call.requestUrl.pathname.endsWith('/search'));
+	}
+
 	/**
 	 * Default implementation for the <code>isAllowed()</code> method that calls
 	 * handler's <code>isAllowedAction()</code> method.
@@ -64,7 +471,7 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 			action = 'search';
 			break;
 		case 'POST':
-			action = 'create';
+			action = (this._isSearchCall(call) ? 'search' : 'create');
 		}
 
 		return this.isAllowedAction(action, call.actor, call);
@@ -75,32 +482,108 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 	/////////////////////////////////////////////////////////////////////////////
 	GET(call) {
 
+		return this._search(call, call.requestUrl.query);
+	}
+
+	/**
+	 * Perform records search.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {Object} urlQuery The URL query parameters, or the equivalent
+	 * parameters from the search query document.
+	 * @param {module:x2node-ws-resources~RSQLNode} [rsqlFilter] Filter from the
+	 * search query document.
+	 * @returns {Promise.<module:x2node-ws~ServiceResponse>} The response
+	 * promise.
+	 */
+	_search(call, urlQuery, rsqlFilter) {
+
 		// transaction context
 		const txCtx = this._createTransactionContext(call);
 
+		// invalid query error message prefix
+		const invalidQueryMsg = (
+			call.method === 'GET' ?
+				'Invalid query string: ' : 'Invalid search query: ');
+
 		// create query specification
+		const rangeLimits = this._rangeLimits;
 		txCtx.queryParams = new Object();
 		try {
 
-			// parse query string
+			// parse query
+			const distinct = (urlQuery.distinct !== undefined);
+			const defaultLimit = (
+				rangeLimits.defaultRange || rangeLimits.maxRange);
 			txCtx.querySpec = searchQueryParser.parseSearchQuery(
-				this._recordTypeDesc, call.requestUrl.query, 'pfor',
-				txCtx.queryParams);
+				this._recordTypeDesc, urlQuery, (distinct ? 'fq' : 'pfqorc'),
+				txCtx.queryParams, {
+					defaultRange: (defaultLimit ? [ 0, defaultLimit ] : null),
+					whitelist: this._searchWhitelist,
+					textSearch: this._textSearch,
+					presets: this._searchPresets,
+					limits: this._options.queryLimits,
+					clock: this._options.clock,
+					timeZone: this._options.timeZone,
+					rsqlFilter: rsqlFilter
+				});
 
 			// add uplink filters
 			this._addUplinkFilters(
 				call, -1, txCtx.querySpec.filter, txCtx.queryParams);
 
+			// parse distinct values request or requested facets
+			if (distinct)
+				txCtx.distinct = searchQueryParser.parseDistinct(
+					this._recordTypeDesc, urlQuery, txCtx.querySpec,
+					txCtx.queryParams, this._searchWhitelist);
+			else
+				txCtx.facets = searchQueryParser.parseFacets(
+					this._recordTypeDesc, urlQuery, this._searchWhitelist);
+
 		} catch (err) {
-			if (err instanceof common.X2SyntaxError) {
+			if (err instanceof searchQueryParser.QueryLimitError) {
 				return ws.createResponse(400).setEntity({
-					errorCode: 'X2-RSRC-400-1',
-					errorMessage: 'Invalid query string: ' + err.message
+					errorCode: 'X2-RSRC-400-11',
+					errorMessage: 'Query is too complex: ' + err.message
 				});
 			}
+			if (err instanceof common.X2SyntaxError)
+				return this._createInvalidQueryResponse(err, invalidQueryMsg);
 			throw err;
 		}
 
+		// enforce maximum range
+		if (rangeLimits.maxRange && !this._applyMaxRange(
+			txCtx.querySpec, rangeLimits.maxRange,
+			(rangeLimits.rangeOverflow === 'reject')))
+			return ws.createResponse(400).setEntity({
+				errorCode: 'X2-RSRC-400-10',
+				errorMessage: 'Requested records range exceeds the maximum' +
+					` of ${rangeLimits.maxRange} records.`
+			});
+
+		// fetch no more than the maximum number of records for distinct values
+		const maxDistinctRecords = (
+			rangeLimits.maxRange || this._getMaxFacetRecords());
+		if (txCtx.distinct)
+			txCtx.querySpec.range = [ 0, maxDistinctRecords + 1 ];
+
+		// request total count if pagination headers are needed
+		const paginationHeaders = (
+			this._options.get.paginationHeaders && txCtx.querySpec.range &&
+				!txCtx.querySpec.cursor);
+		let countAdded = false;
+		if (paginationHeaders) {
+			if (!txCtx.querySpec.props)
+				txCtx.querySpec.props = [ '*' ];
+			if (txCtx.querySpec.props.indexOf('.count') < 0) {
+				txCtx.querySpec.props.push('.count');
+				countAdded = true;
+			}
+		}
+
 		// pre-resolve response promise
 		let responsePromise = Promise.resolve();
 
@@ -111,19 +594,45 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 			);
 
 		// proceed to the transaction
+		let ndjsonStream, endStreamTransaction, firstChunkLength;
 		responsePromise = responsePromise.then(() => {
 
-			// build search DBO
-			// TODO: cache search DBO
-			let searchDBO;
+			// check if streaming newline-delimited JSON in chunks
+			const chunkSize = (
+				(call.requestedRepresentation === NDJSON_CONTENT_TYPE) &&
+					(call.httpRequest.method !== 'HEAD') &&
+					!txCtx.distinct && !txCtx.querySpec.cursor ?
+					(this._options.get.ndjsonChunkSize ||
+						DEFAULT_NDJSON_CHUNK_SIZE) :
+					0);
+
+			// get search DBO and facet DBOs
+			let searchDBO, facetDBOs;
 			try {
-				searchDBO = this._dboFactory.buildFetch(
-					this._recordTypeName, txCtx.querySpec);
+				searchDBO = this._dboCache.getFetch(
+					this._recordTypeName, (
+						chunkSize > 0 ?
+							this._buildChunkQuerySpec(
+								txCtx.querySpec, 0, chunkSize, true) :
+							txCtx.querySpec
+					));
+				if (txCtx.facets && (txCtx.facets.length > 0)) {
+					const cursor = txCtx.querySpec.cursor;
+					const facetFilter = (txCtx.querySpec.filter || []).filter(
+						test => (!cursor || (test !== cursor.keyFilter)));
+					facetDBOs = txCtx.facets.map(
+						facet => this._dboCache.getFetch(
+							this._recordTypeName, {
+								props: [ facet.propPath ],
+								filter: facetFilter,
+								range: [ 0, this._getMaxFacetRecords() + 1 ]
+							}));
+				}
 			} catch (err) {
 				if (err instanceof common.X2SyntaxError) {
 					return Promise.reject(ws.createResponse(400).setEntity({
 						errorCode: 'X2-RSRC-400-1',
-						errorMessage: 'Invalid query string: ' + err.message
+						errorMessage: invalidQueryMsg + err.message
 					}));
 				}
 				return Promise.reject(err);
@@ -141,7 +650,7 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 						searchDBO.involvedRecordTypeNames,
 						'shared'
 					).then(versionInfo => this._processConditionalRequest(
-						txCtx, versionInfo
+						txCtx, versionInfo, true
 					))
 				);
 
@@ -154,16 +663,77 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 				tx, call.actor, txCtx.queryParams).then(result => {
 					// make sure record type name is in the result
 					result.recordTypeName = this._recordTypeName;
+					// remember the number of records for streaming
+					firstChunkLength = result.records.length;
+					// complete the page if cursor pagination
+					if (txCtx.querySpec.cursor)
+						searchQueryParser.completeCursorPage(
+							txCtx.querySpec.cursor, result);
 					return result;
-				}));
+				}).then(result => (
+					facetDBOs ?
+						this._addFacets(tx, call.actor, txCtx, facetDBOs, result) :
+						result
+				)));
 
 			// custom "after" hook
 			if ((typeof this.afterSearch) === 'function')
 				txPhases.push((_, txCtx, result) => this.afterSearch(
 					txCtx, result));
 
-			// execute the transaction
-			return this._executeTransaction(txCtx, txPhases);
+			// execute the transaction if not streaming
+			if (chunkSize === 0)
+				return this._executeTransaction(txCtx, txPhases);
+
+			// stream the rest of the records in the transaction
+			const socket = call.httpRequest.socket;
+			return new Promise((resolve, reject) => {
+				txPhases.push((tx, txCtx, result) => new Promise(
+					(resolveStream, rejectStream) => {
+
+						// end the transaction when the connection is closed
+						const onClose = () => endStreamTransaction();
+						const ndjson = createNDJSONStream(
+							result,
+							this._createNextChunkFetcher(
+								tx, call.actor, txCtx, firstChunkLength,
+								chunkSize),
+							(this._options.get.ndjsonIdleTimeout ||
+								DEFAULT_NDJSON_IDLE_TIMEOUT),
+							err => {
+								if (socket)
+									socket.removeListener('close', onClose);
+								if (err)
+									rejectStream(err);
+								else
+									resolveStream(result);
+							}
+						);
+						ndjsonStream = ndjson.stream;
+						endStreamTransaction = ndjson.abort;
+						if (socket) {
+							if (socket.destroyed)
+								endStreamTransaction();
+							else
+								socket.once('close', onClose);
+						}
+
+						resolve(result);
+					}
+				));
+				this._executeTransaction(txCtx, txPhases).then(
+					resolve,
+					err => {
+						if (!ndjsonStream)
+							return reject(err);
+						common.error(
+							'error streaming search result of call ' +
+								call.id, err);
+						if (socket)
+							socket.destroy();
+					}
+				);
+			});
 		});
 
 		// custom completion logic
@@ -178,24 +748,398 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 					this.completeSearch(err, txCtx, undefined))
 			);
 
+		// end the streaming transaction if the stream is not sent
+		const abortStream = () => {
+			if (endStreamTransaction)
+				endStreamTransaction();
+		};
+
 		// build and return the response promise
 		return responsePromise.then(result => {
 
 			// check if already a response
-			if (ws.isResponse(result))
+			if (ws.isResponse(result)) {
+				abortStream();
 				return result;
+			}
 
-			// create and return respose
-			return this._addValidatorHeaders(txCtx, ws.createResponse(200))
-				.setEntity(result);
+			// create respose
+			const response = this._addValidatorHeaders(
+				txCtx, ws.createResponse(200));
+
+			// return distinct values if requested
+			if (txCtx.distinct) {
+				const values = searchQueryParser.collectDistinctValues(
+					txCtx.distinct, result.records, maxDistinctRecords);
+				if (!values)
+					return ws.createResponse(400).setEntity({
+						errorCode: 'X2-RSRC-400-10',
+						errorMessage: 'Distinct values request matches more' +
+							` than the maximum of ${maxDistinctRecords}` +
+							' records.'
+					});
+				return response.setEntity({
+					recordTypeName: this._recordTypeName,
+					propPath: txCtx.distinct.propPath,
+					values: values
+				});
+			}
+
+			// add pagination headers
+			if (paginationHeaders && Array.isArray(result.records) &&
+				Number.isInteger(result.count)) {
+				this._addPaginationHeaders(
+					call, txCtx.querySpec.range, result, response);
+				if (countAdded)
+					delete result.count;
+			}
+
+			// stream newline-delimited JSON if requested
+			if (call.requestedRepresentation === NDJSON_CONTENT_TYPE)
+				return response.setEntity(
+					ndjsonStream || createNDJSONStream(
+						result, () => Promise.resolve(null), 0, () => {}
+					).stream,
+					NDJSON_CONTENT_TYPE);
+
+			// export CSV if requested
+			if (call.requestedRepresentation === 'text/csv')
+				return this._setCSVEntity(txCtx, result, response);
+
+			// set entity and return the response
+			return response.setEntity(result);
+		}, err => {
+			abortStream();
+			return Promise.reject(err);
 		});
 	}
 
+	/**
+	 * Execute facet DBOs and add facets to the search result.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~Transaction} tx The transaction.
+	 * @param {module:x2node-common.Actor} actor The actor.
+	 * @param {module:x2node-ws-resources.SearchTransactionContext} txCtx The
+	 * transaction context.
+	 * @param {Array.<module:x2node-dbos~FetchDBO>} facetDBOs Facet DBOs
+	 * corresponding to the requested facets.
+	 * @param {module:x2node-dbos~FetchDBO~Result} result The search result.
+	 * @returns {Promise.<module:x2node-dbos~FetchDBO~Result>} Promise of the
+	 * search result with the facets added.
+	 */
+	_addFacets(tx, actor, txCtx, facetDBOs, result) {
+
+		result.facets = new Object();
+
+		const maxRecords = this._getMaxFacetRecords();
+		return facetDBOs.reduce((chain, facetDBO, i) => chain.then(
+			() => facetDBO.execute(tx, actor, txCtx.queryParams)
+		).then(facetResult => {
+			if (facetResult.records.length > maxRecords)
+				return Promise.reject(ws.createResponse(400).setEntity({
+					errorCode: 'X2-RSRC-400-11',
+					errorMessage: 'Query is too complex: facets cannot be' +
+						` calculated for more than ${maxRecords} matching` +
+						' records.'
+				}));
+			const facet = txCtx.facets[i];
+			result.facets[facet.propPath] =
+				searchQueryParser.countFacetValues(
+					facet, facetResult.records);
+		}), Promise.resolve()).then(() => result);
+	}
+
+	/**
+	 * Get maximum number of matching records used to calculate facet counts
+	 * and, if no maximum range is configured, distinct values.
+	 *
+	 * @private
+	 * @returns {number} Maximum number of records.
+	 */
+	_getMaxFacetRecords() {
+
+		return (this._options.get.maxFacetRecords || DEFAULT_MAX_FACET_RECORDS);
+	}
+
+	/**
+	 * Build query specification for fetching a chunk of the search result. The
+	 * chunk is a subrange of the requested records range. The records are
+	 * additionally ordered by the record id so that the chunks do not overlap.
+	 *
+	 * @private
+	 * @param {Object} querySpec The search query specification.
+	 * @param {number} chunkOffset Offset of the chunk within the requested
+	 * records range.
+	 * @param {number} chunkSize Maximum number of records in the chunk.
+	 * @param {boolean} first <code>true</code> for the first chunk, which is
+	 * the only one that includes the super-aggregates.
+	 * @returns {Object} The chunk query specification.
+	 */
+	_buildChunkQuerySpec(querySpec, chunkOffset, chunkSize, first) {
+
+		const chunkQuerySpec = Object.assign(new Object(), querySpec);
+
+		// exclude super-aggregates from the subsequent chunks
+		if (!first && querySpec.props)
+			chunkQuerySpec.props = querySpec.props.filter(
+				pattern => !pattern.startsWith('.'));
+
+		// make sure the order is stable
+		const idOrder = `${this._recordTypeDesc.idPropertyName} => asc`;
+		const order = (querySpec.order || []);
+		if (!order.some(element => (
+			element.replace(/\s+/g, ' ').replace(/ => desc$/, ' => asc') ===
+				idOrder)))
+			chunkQuerySpec.order = order.concat(idOrder);
+
+		// set the chunk range
+		const range = querySpec.range;
+		const offset = (range ? range[0] : 0) + chunkOffset;
+		chunkQuerySpec.range = [ offset, (
+			range ? Math.min(chunkSize, range[1] - chunkOffset) : chunkSize) ];
+
+		// return the chunk query specification
+		return chunkQuerySpec;
+	}
+
+	/**
+	 * Create function that fetches the next chunk of the streamed search
+	 * result in the search transaction. Each chunk is passed to the
+	 * "afterSearch" hook, if any.
+	 *
+	 * @private
+	 * @param {module:x2node-dbos~Transaction} tx The transaction.
+	 * @param {module:x2node-common.Actor} actor The actor.
+	 * @param {module:x2node-ws-resources.SearchTransactionContext} txCtx The
+	 * transaction context.
+	 * @param {number} firstChunkLength Number of records fetched in the first
+	 * chunk.
+	 * @param {number} chunkSize Maximum number of records in a chunk.
+	 * @returns {function} Function that returns a promise of the next chunk
+	 * result, or of <code>null</code> if there are no more records.
+	 */
+	_createNextChunkFetcher(tx, actor, txCtx, firstChunkLength, chunkSize) {
+
+		const range = txCtx.querySpec.range;
+		let numFetched = 0;
+		let lastChunkSize = chunkSize;
+		let nextChunkSize = firstChunkLength;
+
+		return () => {
+
+			// check if no more records
+			numFetched += nextChunkSize;
+			if ((nextChunkSize < lastChunkSize) ||
+				(range && (numFetched >= range[1])))
+				return Promise.resolve(null);
+
+			// fetch the next chunk
+			const chunkQuerySpec = this._buildChunkQuerySpec(
+				txCtx.querySpec, numFetched, chunkSize, false);
+			lastChunkSize = chunkQuerySpec.range[1];
+			return this._dboCache.getFetch(
+				this._recordTypeName, chunkQuerySpec
+			).execute(
+				tx, actor, txCtx.queryParams
+			).then(result => {
+				nextChunkSize = result.records.length;
+				return (
+					(typeof this.afterSearch) === 'function' ?
+						this.afterSearch(txCtx, result) : result);
+			});
+		};
+	}
+
+	/**
+	 * Create HTTP 400 (Bad Request) response for an invalid search query. If the
+	 * error carries the query error details, they are included in the response
+	 * entity's <code>queryErrors</code> array.
+	 *
+	 * @private
+	 * @param {module:x2node-common.X2SyntaxError} err The query parsing error.
+	 * @param {string} msgPrefix Error message prefix.
+	 * @returns {module:x2node-ws~ServiceResponse} The response.
+	 */
+	_createInvalidQueryResponse(err, msgPrefix) {
+
+		const entity = {
+			errorCode: 'X2-RSRC-400-1',
+			errorMessage: msgPrefix + err.message
+		};
+		if (err instanceof searchQueryParser.QuerySyntaxError)
+			entity.queryErrors = [ err.queryError ];
+
+		return ws.createResponse(400).setEntity(entity);
+	}
+
+	/**
+	 * Make sure that the search query specification does not request more
+	 * records than allowed.
+	 *
+	 * @private
+	 * @param {Object} querySpec Search query specification. The range (and the
+	 * cursor, if any) is clamped to the maximum if exceeded and rejection is not
+	 * requested.
+	 * @param {number} maxRange Maximum number of records.
+	 * @param {boolean} reject <code>true</code> to reject the query instead of
+	 * clamping the range.
+	 * @returns {boolean} <code>false</code> if the query must be rejected.
+	 */
+	_applyMaxRange(querySpec, maxRange, reject) {
+
+		// check the requested number of records
+		const cursor = querySpec.cursor;
+		const range = querySpec.range;
+		const limit = (cursor ? cursor.limit : (range && range[1]));
+		if (!(limit > maxRange))
+			return true;
+
+		// reject if requested
+		if (reject)
+			return false;
+
+		// clamp the range
+		if (cursor) {
+			cursor.limit = maxRange;
+			range[1] = maxRange + 1;
+		} else {
+			range[1] = maxRange;
+		}
+
+		// done
+		return true;
+	}
+
+	/**
+	 * Set search result as CSV entity on the response.
+	 *
+	 * @private
+	 * @param {module:x2node-ws-resources.SearchTransactionContext} txCtx The
+	 * transaction context.
+	 * @param {module:x2node-dbos~FetchDBO~Result} result The search result.
+	 * @param {module:x2node-ws~ServiceResponse} response The response.
+	 * @returns {module:x2node-ws~ServiceResponse} The response.
+	 */
+	_setCSVEntity(txCtx, result, response) {
+
+		const records = (result.records || []);
+
+		// build the columns
+		let columns = csvWriter.buildColumns(
+			this._recordTypeDesc, txCtx.querySpec.props);
+		if ((typeof this.getCSVColumns) === 'function')
+			columns = this.getCSVColumns(txCtx, columns, result);
+
+		// create the stream
+		const csvStream = csvWriter.createCSVStream(
+			this._recordTypeDesc, columns, records, {
+				join: (
+					(typeof this._options.get.csvJoin) === 'string' ?
+						this._options.get.csvJoin : '; '),
+				displayProps: (this._options.get.csvDisplayProps || {}),
+				referredRecords: result.referredRecords,
+				escapeFormulas: (this._options.get.csvEscapeFormulas !== false)
+			});
+
+		// set the entity
+		return response
+			.setHeader(
+				'Content-Disposition',
+				`attachment; filename="${this._recordTypeName}.csv"`)
+			.setEntity(csvStream, 'text/csv; charset=UTF-8');
+	}
+
+	/**
+	 * Add "Link", "Content-Range" and "X-Total-Count" headers to the search
+	 * response.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {Array.<number>} range The requested range.
+	 * @param {module:x2node-dbos~FetchDBO~Result} result The search result.
+	 * @param {module:x2node-ws~ServiceResponse} response The response.
+	 */
+	_addPaginationHeaders(call, range, result, response) {
+
+		const total = result.count;
+		const offset = range[0], limit = range[1];
+		const numRecords = result.records.length;
+
+		// "Content-Range" and "X-Total-Count" headers
+		response.setHeader(
+			'Content-Range', 'records ' + (
+				numRecords > 0 ?
+					`${offset}-${offset + numRecords - 1}` : '*'
+			) + `/${total}`);
+		response.setHeader('X-Total-Count', String(total));
+
+		// "Link" header, only for the search with the URL query parameters
+		if (!(limit > 0) || (call.method !== 'GET'))
+			return;
+		const requestUrl = call.requestUrl;
+		const link = (rel, linkOffset) => '<' + requestUrl.pathname + '?' +
+			querystring.stringify(Object.assign({}, requestUrl.query, {
+				r: `${linkOffset},${limit}`
+			})) + `>; rel="${rel}"`;
+		const links = [ link('first', 0) ];
+		if (offset > 0)
+			links.push(link('prev', Math.max(offset - limit, 0)));
+		if (offset + limit < total)
+			links.push(link('next', offset + limit));
+		links.push(link(
+			'last', Math.max(Math.ceil(total / limit) - 1, 0) * limit));
+		response.setHeader('Link', links.join(', '));
+	}
+
 	/////////////////////////////////////////////////////////////////////////////
 	// process POST call
 	/////////////////////////////////////////////////////////////////////////////
 	POST(call) {
 
+		// search with a query document
+		if (this._isSearchCall(call)) {
+			let searchQuery;
+			try {
+				searchQuery = searchQueryParser.parseSearchDocument(
+					call.entity, this._searchPresets);
+			} catch (err) {
+				if (err instanceof common.X2SyntaxError) {
+					return ws.createResponse(400).setEntity({
+						errorCode: 'X2-RSRC-400-1',
+						errorMessage: 'Invalid search query: ' + err.message
+					});
+				}
+				throw err;
+			}
+			return this._search(
+				call, searchQuery.urlQuery, searchQuery.rsqlFilter);
+		}
+
+		// create function
+		const create = () => (
+			this._bulkCreate && Array.isArray(call.entity) ?
+				this._bulkCreateRecords(call) : this._createRecord(call));
+
+		// check if idempotent request
+		const idempotencyKey = call.httpRequest.headers['idempotency-key'];
+		if (idempotencyKey && this._idempotencyStore)
+			return this._createIdempotent(call, idempotencyKey, create);
+
+		// create the records
+		return create();
+	}
+
+	/**
+	 * Create single record submitted in the <code>POST</code> request body.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @returns {(module:x2node-ws~ServiceResponse|Promise.<module:x2node-ws~ServiceResponse>)}
+	 * The response or the response promise.
+	 */
+	_createRecord(call) {
+
 		// transaction context
 		const txCtx = this._createTransactionContext(call);
 		txCtx.recordTmpl = call.entity;
@@ -233,7 +1177,7 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 			responsePromise = responsePromise.then(() => {
 				txCtx.parentQueryParams = new Object();
 				txCtx.parentQuerySpec = this._buildParentRecordFetchQuerySpec(
-					call, txCtx.recordTmpl, txCtx.parentQueryParams);
+					call, -1, txCtx.recordTmpl, txCtx.parentQueryParams);
 			});
 		}
 
@@ -399,57 +1343,410 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 	}
 
 	/**
-	 * Build query specification for the fetch DBO that gets the parent record id
-	 * based on the uplink URI parameters and used to check parent records
-	 * existence.
+	 * Create records for a request made with an <code>Idempotency-Key</code>
+	 * header. If a response to a request with the same key and from the same
+	 * actor is stored, it is returned instead of creating the records again.
 	 *
 	 * @private
 	 * @param {module:x2node-ws~ServiceCall} call The call.
-	 * @param {Object} record The record.
-	 * @param {Object.<string,*>} queryParams Query parameters object that is
-	 * populated by this method.
-	 * @returns {Object} Query specification for the fetch DBO.
+	 * @param {string} idempotencyKey The idempotency key.
+	 * @param {function} create Function that creates the records and returns
+	 * the response or the response promise.
+	 * @returns {Promise.<module:x2node-ws~ServiceResponse>} The response
+	 * promise.
 	 */
-	_buildParentRecordFetchQuerySpec(call, record, queryParams) {
-
-		const filter = new Array();
-		const uriParams = call.uriParams;
-		const lastUplinkParamInd = uriParams.length - 1;
-		for (let i = 0, len = this._uplinkChain.length; i < len; i++) {
-			const uplink = this._uplinkChain[i];
-			if ((uplink.uriParamOffset === null) && (i === 0)) {
-				const idString = record[uplink.propPath].substring(
-					uplink.recordTypeDesc.name.length + 1);
-				const idPropDesc = uplink.recordTypeDesc.getPropertyDesc(
-					uplink.recordTypeDesc.idPropertyName);
-				queryParams['pid'] = (
-					idPropDesc.scalarValueType === 'number' ?
-						Number(idString) : idString);
-				filter.push([
-					uplink.recordTypeDesc.idPropertyName,
-					dbos.param('pid')
-				]);
-			} else {
-				const uriParamInd = lastUplinkParamInd + uplink.uriParamOffset;
-				const paramName = 'uri' + uriParamInd;
-				queryParams[paramName] = uplink.value(uriParams[uriParamInd]);
-				filter.push([
-					(
-						i > 0 ?
-							uplink.propPath.substring(
-								uplink.propPath.indexOf('.') + 1) :
-							uplink.recordTypeDesc.idPropertyName
-					),
-					dbos.param(paramName)
-				]);
+	_createIdempotent(call, idempotencyKey, create) {
+
+		// build the store key specific to the actor and the collection
+		const storeKey = crypto.createHash('sha256').update(JSON.stringify([
+			String(call.actor ? call.actor.id : '*'),
+			call.requestUrl.pathname,
+			idempotencyKey
+		])).digest('hex');
+
+		// check if a request with the same key is in progress
+		const requestsInProgress = this._idempotentRequestsInProgress;
+		if (requestsInProgress.has(storeKey))
+			return Promise.reject(ws.createResponse(409).setEntity({
+				errorCode: 'X2-RSRC-409-1',
+				errorMessage: 'A request with the same idempotency key is in' +
+					' progress.'
+			}));
+		requestsInProgress.add(storeKey);
+
+		// fingerprint of the request entity
+		const fingerprint = crypto.createHash('sha256').update(
+			JSON.stringify(call.entity === undefined ? null : call.entity)
+		).digest('hex');
+
+		// look up the stored response
+		const store = this._idempotencyStore;
+		return store.get(storeKey, call.actor).then(storedResponse => {
+
+			// replay the stored response
+			if (storedResponse) {
+				if (storedResponse.fingerprint !== fingerprint)
+					return Promise.reject(ws.createResponse(422).setEntity({
+						errorCode: 'X2-RSRC-422-3',
+						errorMessage: 'The idempotency key was used with a' +
+							' different request.'
+					}));
+				const response = ws.createResponse(storedResponse.statusCode);
+				for (let h of Object.keys(storedResponse.headers))
+					response.setHeader(h, storedResponse.headers[h]);
+				const contentType = storedResponse.contentType;
+				if (contentType !== undefined)
+					response.setEntity((
+						/^application\/json\b/.test(contentType) ?
+							JSON.parse(storedResponse.entity) :
+							Buffer.from(storedResponse.entity, 'utf8')
+					), contentType);
+				return response.setHeader('Idempotent-Replayed', 'true');
 			}
+
+			// create the records and store successful response
+			return Promise.resolve(create()).then(response => {
+				if (response.statusCode >= 400)
+					return response;
+				const responseToStore = {
+					fingerprint: fingerprint,
+					statusCode: response.statusCode,
+					headers: Object.assign(new Object(), response.headers)
+				};
+				const entity = response.entities[0];
+				if (entity) {
+					responseToStore.contentType =
+						entity.headers['content-type'];
+					responseToStore.entity = (
+						Buffer.isBuffer(entity.data) ?
+							entity.data.toString('utf8') :
+							JSON.stringify(entity.data));
+				}
+				return store.save(storeKey, responseToStore, call.actor).then(
+					() => response,
+					err => {
+						common.error(
+							'failed to store response for idempotency key',
+							err);
+						return response;
+					}
+				);
+			});
+
+		}).then(
+			response => {
+				requestsInProgress.delete(storeKey);
+				return response;
+			},
+			err => {
+				requestsInProgress.delete(storeKey);
+				return Promise.reject(err);
+			}
+		);
+	}
+
+	/////////////////////////////////////////////////////////////////////////////
+	// process bulk POST call
+	/////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * Create multiple records submitted as an array of record templates in the
+	 * <code>POST</code> request body.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @returns {Promise.<module:x2node-ws~ServiceResponse>} The response
+	 * promise.
+	 */
+	_bulkCreateRecords(call) {
+
+		// transaction context
+		const txCtx = this._createTransactionContext(call);
+		txCtx.recordTmpls = call.entity;
+
+		// make sure that we have the entity and all elements are objects
+		if ((txCtx.recordTmpls.length === 0) || txCtx.recordTmpls.some(
+			recordTmpl => ((recordTmpl === null) ||
+				((typeof recordTmpl) !== 'object') ||
+				Array.isArray(recordTmpl))))
+			return ws.createResponse(400).setEntity({
+				errorCode: 'X2-RSRC-400-2',
+				errorMessage: 'Expected record data in the request entity.'
+			});
+
+		// check the number of records
+		const bulkOptions = this._bulkCreate;
+		if ((bulkOptions.maxRecords !== undefined) &&
+			(txCtx.recordTmpls.length > bulkOptions.maxRecords))
+			return ws.createResponse(400).setEntity({
+				errorCode: 'X2-RSRC-400-12',
+				errorMessage: 'Too many records in the request entity, the' +
+					` maximum is ${bulkOptions.maxRecords}.`
+			});
+
+		// create items for the individual records
+		const items = txCtx.recordTmpls.map(recordTmpl => ({
+			recordTmpl: recordTmpl
+		}));
+		const forEachItem = fn => this._forEachBulkCreateItem(
+			txCtx, items, fn);
+
+		// pre-resolve response promise
+		let responsePromise = Promise.resolve();
+
+		// custom record template modification logic
+		if ((typeof this.prepareCreateSpec) === 'function')
+			responsePromise = responsePromise.then(() => forEachItem(
+				() => this.prepareCreateSpec(txCtx, txCtx.recordTmpl)));
+
+		// validate the records data
+		responsePromise = responsePromise.then(() => forEachItem(item => {
+			const errors = validators.normalizeRecord(
+				this._recordTypes, this._recordTypeName, txCtx.recordTmpl,
+				call.httpRequest.headers['Accept-Language'], 'onCreate');
+			if (errors)
+				item.error = {
+					status: 400,
+					errorCode: 'X2-RSRC-400-3',
+					errorMessage: 'Invalid record data.',
+					validationErrors: errors
+				};
+		}));
+
+		// build specifications for the parent record fetch DBOs
+		if (this._uplinkChain.length > 0)
+			responsePromise = responsePromise.then(() => forEachItem(() => {
+				txCtx.parentQueryParams = new Object();
+				txCtx.parentQuerySpec = this._buildParentRecordFetchQuerySpec(
+					call, -1, txCtx.recordTmpl, txCtx.parentQueryParams);
+			}));
+
+		// lock the main records collection by default
+		txCtx.lockCollections = [ this._recordTypeName ];
+
+		// custom preparation logic
+		if ((typeof this.prepareCreate) === 'function')
+			responsePromise = responsePromise.then(() => forEachItem(
+				() => this.prepareCreate(txCtx, txCtx.recordTmpl)));
+
+		// validate immediate uplink values, if any
+		if (this._uplinkChain.length > 0) {
+			const uplink = this._uplinkChain[0];
+			if (uplink.uriParamOffset !== null)
+				responsePromise = responsePromise.then(() => {
+					const expectedValue =
+						uplink.recordTypeDesc.name + '#' +
+						uplink.value(call.uriParams[call.uriParams.length - 1]);
+					return forEachItem(item => {
+						if (txCtx.recordTmpl[uplink.propPath] !== expectedValue)
+							item.error = {
+								status: 400,
+								errorCode: 'X2-RSRC-400-7',
+								errorMessage: 'Record data does not match the' +
+									' resource URI.'
+							};
+					});
+				});
 		}
 
-		return {
-			props: [],
-			filter: filter,
-			lock: 'shared'
-		};
+		// check if any records are invalid
+		responsePromise = responsePromise.then(() => {
+			const numInvalid = items.filter(item => item.error).length;
+			if ((numInvalid === items.length) ||
+				((numInvalid > 0) && (bulkOptions.mode === 'atomic')))
+				return Promise.reject(ws.createResponse(400).setEntity({
+					errorCode: 'X2-RSRC-400-3',
+					errorMessage: 'Invalid record data.',
+					results: items.map(item => (item.error || null))
+				}));
+		});
+
+		// proceed to the transaction
+		const idPropName = this._recordTypeDesc.idPropertyName;
+		const responseType = this._options.post.response;
+		responsePromise = responsePromise.then(() => {
+
+			// assemble transaction phases
+			const txPhases = new Array();
+
+			// lock collections for update, process conditional request
+			const rcMonitor = this._dboFactory.recordCollectionsMonitor;
+			if (rcMonitor)
+				txPhases.push(
+					(_, txCtx) => rcMonitor.getCollectionsVersion(
+						txCtx.transaction,
+						new Set(txCtx.lockCollections),
+						'exclusive'
+					).then(versionInfo => this._processConditionalRequest(
+						txCtx, versionInfo
+					))
+				);
+
+			// fetch the parent records, if any
+			if (this._uplinkChain.length > 0) {
+				const parentRecordTypeName =
+					this._uplinkChain[0].recordTypeDesc.name;
+				txPhases.push(tx => forEachItem(
+					item => this._dboCache.getFetch(
+						parentRecordTypeName, txCtx.parentQuerySpec
+					).execute(
+						tx, call.actor, txCtx.parentQueryParams
+					).then(result => {
+						const numRecs = result.records;
+						if (numRecs.length > 1)
+							return Promise.reject(new common.X2DataError(
+								'More than one parent record.'));
+						if (numRecs.length === 0) {
+							if (bulkOptions.mode === 'atomic')
+								return tx.commit().then(() => Promise.reject(
+									ws.createResponse(404).setEntity({
+										errorCode: 'X2-RSRC-404-2',
+										errorMessage: 'Parent record not found.'
+									})
+								));
+							item.error = {
+								status: 404,
+								errorCode: 'X2-RSRC-404-2',
+								errorMessage: 'Parent record not found.'
+							};
+							return;
+						}
+						txCtx.parentRecord = result.records[0];
+					})
+				));
+			}
+
+			// custom "before" hook
+			if ((typeof this.beforeCreate) === 'function')
+				txPhases.push(() => forEachItem(
+					() => this.beforeCreate(txCtx, txCtx.recordTmpl)));
+
+			// create insert DBOs and execute the main action
+			txPhases.push(tx => forEachItem(
+				item => this._dboFactory.buildInsert(
+					this._recordTypeName, txCtx.recordTmpl
+				).execute(
+					tx, call.actor
+				).then(recordId => {
+					item.recordId = recordId;
+				})
+			));
+
+			// fetch the new records if configured
+			if ((responseType === undefined) || (responseType === 'record'))
+				txPhases.push(tx => forEachItem(
+					item => this._newRecordFetchDBO.execute(
+						tx, call.actor, {
+							id: item.recordId
+						}).then(result => {
+							item.record = result.records[0];
+						})
+				));
+			else
+				txPhases.push(() => forEachItem(item => {
+					txCtx.recordTmpl[idPropName] = item.recordId;
+					item.record = txCtx.recordTmpl;
+				}));
+
+			// custom "after" hook
+			if ((typeof this.afterCreate) === 'function')
+				txPhases.push(() => forEachItem(item => Promise.resolve(
+					this.afterCreate(txCtx, item.record)
+				).then(record => {
+					item.record = record;
+				})));
+
+			// execute the transaction
+			return this._executeTransaction(txCtx, txPhases);
+		});
+
+		// custom completion logic
+		if ((typeof this.completeCreate) === 'function')
+			responsePromise = responsePromise.then(
+				result => (
+					txCtx.complete ?
+						result :
+						forEachItem(item => Promise.resolve(
+							this.completeCreate(undefined, txCtx, item.record)
+						).then(record => {
+							item.record = record;
+						}))
+				),
+				err => Promise.reject(
+					this.completeCreate(err, txCtx, undefined))
+			);
+
+		// build and return the response promise
+		return responsePromise.then(result => {
+
+			// check if already a response
+			if (txCtx.complete)
+				return result;
+
+			// create and return the response
+			return ws.createResponse(200).setEntity({
+				recordTypeName: this._recordTypeName,
+				results: items.map(item => {
+					if (item.error)
+						return item.error;
+					const recordId = item.record[idPropName];
+					const itemResult = {
+						status: 201,
+						id: recordId,
+						location: call.requestUrl.pathname + '/' +
+							encodeURIComponent(recordId)
+					};
+					if ((responseType === undefined) ||
+						(responseType === 'record')) {
+						const videsc = this._getRecordVersionInfo(
+							call, item.record);
+						if (videsc.etag)
+							itemResult.etag = videsc.etag;
+						if (videsc.lastModified)
+							itemResult.lastModified =
+								videsc.lastModified.toUTCString();
+						itemResult.record = item.record;
+					}
+					return itemResult;
+				})
+			});
+		});
+	}
+
+	/**
+	 * Sequentially call the specified function for each bulk create item that
+	 * does not have an error. Before the function is called, the item's record
+	 * template and parent record properties are set on the transaction context,
+	 * so that the per-record hooks can be used the same way as with a single
+	 * record creation. After the function is done, the properties are copied
+	 * back to the item.
+	 *
+	 * @private
+	 * @param {module:x2node-ws-resources~TransactionContext} txCtx Transaction
+	 * context.
+	 * @param {Array.<Object>} items The bulk create items.
+	 * @param {function} fn Function that takes the item as its only argument
+	 * and returns either nothing or a promise.
+	 * @returns {Promise} Promise that is resolved when all items are processed.
+	 */
+	_forEachBulkCreateItem(txCtx, items, fn) {
+
+		return items.reduce((promiseChain, item) => promiseChain.then(() => {
+
+			// skip invalid items
+			if (item.error)
+				return;
+
+			// make the item current
+			for (let propName of BULK_CREATE_ITEM_PROPS)
+				txCtx[propName] = item[propName];
+
+			// call the function and save the current item back
+			return Promise.resolve(fn(item)).then(() => {
+				for (let propName of BULK_CREATE_ITEM_PROPS)
+					item[propName] = txCtx[propName];
+			});
+		}), Promise.resolve());
 	}
 
 	/////////////////////////////////////////////////////////////////////////////
@@ -475,7 +1772,12 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 			// parse query string
 			txCtx.querySpec = searchQueryParser.parseSearchQuery(
 				this._recordTypeDesc, call.requestUrl.query, 'f',
-				txCtx.queryParams);
+				txCtx.queryParams, {
+					whitelist: this._searchWhitelist,
+					limits: this._options.queryLimits,
+					clock: this._options.clock,
+					timeZone: this._options.timeZone
+				});
 
 			// make sure we have an explicit filter
 			if (!txCtx.querySpec.filter || (txCtx.querySpec.filter.length === 0))
@@ -489,12 +1791,15 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 				call, -1, txCtx.querySpec.filter, txCtx.queryParams);
 
 		} catch (err) {
-			if (err instanceof common.X2SyntaxError) {
+			if (err instanceof searchQueryParser.QueryLimitError) {
 				return ws.createResponse(400).setEntity({
-					errorCode: 'X2-RSRC-400-1',
-					errorMessage: 'Invalid query string: ' + err.message
+					errorCode: 'X2-RSRC-400-11',
+					errorMessage: 'Query is too complex: ' + err.message
 				});
 			}
+			if (err instanceof common.X2SyntaxError)
+				return this._createInvalidQueryResponse(
+					err, 'Invalid query string: ');
 			throw err;
 		}
 
@@ -622,10 +1927,12 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 	 * context.
 	 * @param {Object} versionInfo Version information object from the record
 	 * collections monitor.
+	 * @param {boolean} [search] <code>true</code> if search request, which is
+	 * treated as a safe request even if made with <code>POST</code>.
 	 * @returns {*} Response to return immediately (the transaction is marked as
 	 * complete), or nothing to proceed with the transaction.
 	 */
-	_processConditionalRequest(txCtx, versionInfo) {
+	_processConditionalRequest(txCtx, versionInfo, search) {
 
 		// get the ETag and Last-Modified
 		const etag =
@@ -636,7 +1943,7 @@ class CollectionResourceHandler extends AbstractResourceHandler {
 
 		// evaluate preconditions
 		const response = this._evaluatePreconditions(
-			txCtx.call, etag, lastModified);
+			txCtx.call, etag, lastModified, search);
 		if (response) {
 			txCtx.makeComplete();
 			return response;
@@ -0,0 +1,352 @@
+'use strict';
+
+const stream = require('stream');
+
+
+/**
+ * CSV column descriptor.
+ *
+ * @protected
+ * @typedef {Object} module:x2node-ws-resources~CSVColumn
+ * @property {string} propPath Path of the record property that provides the
+ * column values. Nested object properties are separated with dots.
+ * @property {string} header Column header.
+ */
+
+/**
+ * CSV serialization options.
+ *
+ * @private
+ * @typedef {Object} module:x2node-ws-resources~CSVOptions
+ * @property {string} join String used to join elements of array and map
+ * property values.
+ * @property {Object.<string,string>} displayProps Display property names by
+ * referred record type names.
+ * @property {Object.<string,Object>} [referredRecords] Referred records from
+ * the search result.
+ * @property {boolean} escapeFormulas <code>true</code> to prefix values that
+ * a spreadsheet application would interpret as formulas with a single quote.
+ */
+
+/**
+ * Pattern for the values that a spreadsheet application may interpret as a
+ * formula.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Pattern for the numeric values, which are not treated as formulas.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+/**
+ * Call the specified function for each present simple value in the record,
+ * including values of nested object properties.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container Container
+ * descriptor.
+ * @param {Object} record The record or nested object.
+ * @param {string} prefix Property path prefix.
+ * @param {function} func The function, which receives property path, property
+ * descriptor and the value.
+ */
+function forEachValue(container, record, prefix, func) {
+
+	for (let propName of container.allPropertyNames) {
+		const value = record[propName];
+		if (value === undefined)
+			continue;
+		const propDesc = container.getPropertyDesc(propName);
+		const propPath = prefix + propName;
+		if (isFlattenedObject(propDesc) && (value !== null))
+			forEachValue(
+				propDesc.nestedProperties, value, propPath + '.', func);
+		else
+			func(propPath, propDesc, value);
+	}
+}
+
+/**
+ * Tell if the property is a nested object property flattened into separate
+ * columns.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {boolean} <code>true</code> if flattened nested object.
+ */
+function isFlattenedObject(propDesc) {
+
+	return (propDesc.isScalar() && (propDesc.scalarValueType === 'object'));
+}
+
+/**
+ * Add paths of the columns for the property and, if it is a flattened nested
+ * object, its properties fetched by default to the set.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {string} propPath Property path.
+ * @param {Set.<string>} paths The set, to which to add the paths.
+ */
+function addDefaultPaths(propDesc, propPath, paths) {
+
+	if (!isFlattenedObject(propDesc)) {
+		paths.add(propPath);
+		return;
+	}
+
+	const container = propDesc.nestedProperties;
+	for (let propName of container.allPropertyNames) {
+		const nestedPropDesc = container.getPropertyDesc(propName);
+		if (nestedPropDesc.fetchByDefault)
+			addDefaultPaths(nestedPropDesc, propPath + '.' + propName, paths);
+	}
+}
+
+/**
+ * Build default columns for the records. The columns include all record
+ * properties selected by the query's properties specification, ordered as the
+ * properties are defined in the record type definition. Nested object
+ * properties are flattened into separate columns. Properties selected through
+ * a reference get the column of the reference property. The column headers are
+ * the property paths.
+ *
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Array.<string>} [props] Selected property patterns from the fetch
+ * DBO query specification. If not specified, the properties fetched by default
+ * are included.
+ * @returns {Array.<module:x2node-ws-resources~CSVColumn>} The columns.
+ */
+exports.buildColumns = function(recordTypeDesc, props) {
+
+	// collect selected property paths
+	const selectedPaths = new Set();
+	const excludedPaths = new Array();
+	for (let pattern of (props || [ '*' ])) {
+
+		// super-properties are not included in the records
+		if (pattern.startsWith('.'))
+			continue;
+
+		// excluded property
+		if (pattern.startsWith('-')) {
+			excludedPaths.push(pattern.substring(1));
+			continue;
+		}
+
+		// all properties fetched by default
+		if (pattern === '*') {
+			for (let propName of recordTypeDesc.allPropertyNames) {
+				const propDesc = recordTypeDesc.getPropertyDesc(propName);
+				if (propDesc.fetchByDefault)
+					addDefaultPaths(propDesc, propName, selectedPaths);
+			}
+			continue;
+		}
+
+		// follow the path down to the column property
+		const pathParts = pattern.split('.');
+		if (pathParts[pathParts.length - 1] === '*')
+			pathParts.pop();
+		let container = recordTypeDesc;
+		let propPath = '';
+		for (let i = 0; i < pathParts.length; i++) {
+			if (!container.hasProperty(pathParts[i]))
+				break;
+			const propDesc = container.getPropertyDesc(pathParts[i]);
+			propPath += pathParts[i];
+			if (!isFlattenedObject(propDesc)) {
+				selectedPaths.add(propPath);
+				break;
+			}
+			if (i === pathParts.length - 1) {
+				addDefaultPaths(propDesc, propPath, selectedPaths);
+				break;
+			}
+			container = propDesc.nestedProperties;
+			propPath += '.';
+		}
+	}
+
+	// remove excluded paths
+	for (let excludedPath of excludedPaths)
+		for (let propPath of selectedPaths)
+			if ((propPath === excludedPath) ||
+				propPath.startsWith(excludedPath + '.'))
+				selectedPaths.delete(propPath);
+
+	// create columns in the property definition order
+	const columns = new Array();
+	const addColumns = (container, prefix) => {
+		for (let propName of container.allPropertyNames) {
+			const propDesc = container.getPropertyDesc(propName);
+			const propPath = prefix + propName;
+			if (selectedPaths.has(propPath))
+				columns.push({
+					propPath: propPath,
+					header: propPath
+				});
+			if (isFlattenedObject(propDesc))
+				addColumns(propDesc.nestedProperties, propPath + '.');
+		}
+	};
+	addColumns(recordTypeDesc, '');
+
+	// return the columns
+	return columns;
+};
+
+/**
+ * Convert single simple value to string.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} value The value.
+ * @param {module:x2node-ws-resources~CSVOptions} options Serialization
+ * options.
+ * @returns {string} String representation of the value.
+ */
+function formatScalarValue(propDesc, value, options) {
+
+	if ((value === null) || (value === undefined))
+		return '';
+
+	// resolve reference to the display property
+	if (propDesc.isRef()) {
+		const displayPropName = options.displayProps[propDesc.refTarget];
+		const referredRecord = (
+			options.referredRecords && options.referredRecords[value]);
+		if (displayPropName && referredRecord &&
+			(referredRecord[displayPropName] !== undefined) &&
+			(referredRecord[displayPropName] !== null))
+			return String(referredRecord[displayPropName]);
+		return value;
+	}
+
+	// nested objects in collections
+	if ((typeof value) === 'object')
+		return JSON.stringify(value);
+
+	return String(value);
+}
+
+/**
+ * Convert property value to string.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} value The value.
+ * @param {module:x2node-ws-resources~CSVOptions} options Serialization
+ * options.
+ * @returns {string} String representation of the value.
+ */
+function formatValue(propDesc, value, options) {
+
+	if (value === null)
+		return '';
+
+	if (propDesc.isArray())
+		return value.map(
+			v => formatScalarValue(propDesc, v, options)).join(options.join);
+
+	if (propDesc.isMap())
+		return Object.keys(value).map(
+			key => key + '=' + formatScalarValue(propDesc, value[key], options)
+		).join(options.join);
+
+	return formatScalarValue(propDesc, value, options);
+}
+
+/**
+ * Neutralize value that a spreadsheet application would interpret as a formula
+ * by prefixing it with a single quote. Numeric values are left intact.
+ *
+ * @private
+ * @param {string} str The value.
+ * @returns {string} The safe value.
+ */
+function escapeFormula(str) {
+
+	if (FORMULA_PATTERN.test(str) && !NUMBER_PATTERN.test(str))
+		return '\'' + str;
+
+	return str;
+}
+
+/**
+ * Escape value for inclusion in a CSV line.
+ *
+ * @private
+ * @param {string} str The value.
+ * @returns {string} The value, quoted if necessary.
+ */
+function escapeValue(str) {
+
+	if (/[",\r\n]/.test(str))
+		return '"' + str.replace(/"/g, '""') + '"';
+
+	return str;
+}
+
+/**
+ * Create stream that serializes records as CSV. The first line is the header.
+ *
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Array.<module:x2node-ws-resources~CSVColumn>} columns The columns.
+ * @param {Array.<Object>} records The records.
+ * @param {module:x2node-ws-resources~CSVOptions} options Serialization
+ * options.
+ * @returns {stream.external:Readable} The stream.
+ */
+exports.createCSVStream = function(recordTypeDesc, columns, records, options) {
+
+	// value formatting function
+	const toCell = (
+		options.escapeFormulas ?
+			str => escapeValue(escapeFormula(str)) : escapeValue);
+
+	// header line
+	const headerLine = columns.map(
+		column => toCell(column.header)).join(',') + '\r\n';
+
+	// create the stream
+	let nextRecordInd = -1;
+	return new stream.Readable({
+		read() {
+			let more = true;
+			while (more) {
+				if (nextRecordInd < 0) {
+					nextRecordInd++;
+					more = this.push(headerLine);
+				} else if (nextRecordInd < records.length) {
+					const values = new Map();
+					forEachValue(
+						recordTypeDesc, records[nextRecordInd++], '',
+						(propPath, propDesc, value) => {
+							values.set(
+								propPath, formatValue(propDesc, value, options));
+						});
+					more = this.push(columns.map(
+						column => toCell(values.get(column.propPath) || '')
+					).join(',') + '\r\n');
+				} else {
+					this.push(null);
+					more = false;
+				}
+			}
+		}
+	});
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+const dbos = require('x2node-dbos');
+
+
+/**
+ * Default maximum number of DBOs kept in the cache.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_MAX_SIZE = 50;
+
+/**
+ * <code>JSON.stringify()</code> replacer used to build cache keys from DBO
+ * specifications. Replaces parameter and value expression placeholders with
+ * serializable representations so that specifications that differ only in
+ * the parameter values share the same key.
+ *
+ * @private
+ * @param {string} key Key in the containing object.
+ * @param {*} value Value to serialize.
+ * @returns {*} Value to serialize instead.
+ */
+function keyReplacer(key, value) {
+
+	const origValue = this[key];
+	if (dbos.isParam(origValue))
+		return { '?': origValue.name };
+	if (dbos.isExpr(origValue))
+		return { '{}': origValue.expr };
+	if (origValue instanceof Date)
+		return { 'D': value };
+
+	return value;
+}
+
+/**
+ * Bounded cache of built DBOs. Evicts the least recently used DBO when the
+ * cache is full.
+ *
+ * @memberof module:x2node-ws-resources
+ * @inner
+ */
+class DBOCache {
+
+	/**
+	 * Create new cache.
+	 *
+	 * @param {module:x2node-dbos~DBOFactory} dboFactory DBO factory used to
+	 * build DBOs missing in the cache.
+	 * @param {number} [maxSize] Maximum number of DBOs in the cache. Zero
+	 * disables the cache. If not specified, a default size is used.
+	 */
+	constructor(dboFactory, maxSize) {
+
+		this._dboFactory = dboFactory;
+		this._maxSize = (
+			(typeof maxSize) === 'number' ? maxSize : DEFAULT_MAX_SIZE);
+
+		this._dbos = new Map();
+
+		this._hits = 0;
+		this._misses = 0;
+		this._evictions = 0;
+	}
+
+	/**
+	 * Get fetch DBO.
+	 *
+	 * @param {string} recordTypeName Record type name.
+	 * @param {Object} querySpec Query specification.
+	 * @returns {module:x2node-dbos~FetchDBO} The DBO.
+	 * @throws {module:x2node-common.X2SyntaxError} If the query specification
+	 * is invalid.
+	 * @see [buildFetch()]{@link module:x2node-dbos~DBOFactory#buildFetch}
+	 */
+	getFetch(recordTypeName, querySpec) {
+
+		const spec = (querySpec || new Object());
+
+		return this._get(
+			[
+				'fetch', recordTypeName,
+				(spec.props && Array.from(spec.props).sort()),
+				spec.filter, spec.order, spec.range, spec.lock
+			],
+			() => this._dboFactory.buildFetch(recordTypeName, querySpec)
+		);
+	}
+
+	/**
+	 * Get delete DBO.
+	 *
+	 * @param {string} recordTypeName Record type name.
+	 * @param {Array} [filterSpec] Selection filter specification.
+	 * @returns {module:x2node-dbos~DeleteDBO} The DBO.
+	 * @throws {module:x2node-common.X2SyntaxError} If the filter specification
+	 * is invalid.
+	 * @see [buildDelete()]{@link module:x2node-dbos~DBOFactory#buildDelete}
+	 */
+	getDelete(recordTypeName, filterSpec) {
+
+		return this._get(
+			[ 'delete', recordTypeName, filterSpec ],
+			() => this._dboFactory.buildDelete(recordTypeName, filterSpec)
+		);
+	}
+
+	/**
+	 * Get cached DBO or build and cache a new one.
+	 *
+	 * @private
+	 * @param {Array} keyParts DBO specification elements that make the key.
+	 * @param {function} build Function that builds the DBO if not in the cache.
+	 * @returns {Object} The DBO.
+	 */
+	_get(keyParts, build) {
+
+		// cache disabled?
+		if (this._maxSize <= 0) {
+			this._misses++;
+			return build();
+		}
+
+		// lookup the cache
+		const key = JSON.stringify(keyParts, keyReplacer);
+		let dbo = this._dbos.get(key);
+		if (dbo) {
+			this._hits++;
+			this._dbos.delete(key);
+			this._dbos.set(key, dbo);
+			return dbo;
+		}
+
+		// build new DBO and cache it
+		this._misses++;
+		dbo = build();
+		this._dbos.set(key, dbo);
+
+		// evict least recently used DBO if full
+		if (this._dbos.size > this._maxSize) {
+			this._dbos.delete(this._dbos.keys().next().value);
+			this._evictions++;
+		}
+
+		return dbo;
+	}
+
+	/**
+	 * Cache statistics.
+	 *
+	 * @typedef {Object} module:x2node-ws-resources~DBOCache~Stats
+	 * @property {number} size Number of DBOs currently in the cache.
+	 * @property {number} maxSize Maximum number of DBOs in the cache.
+	 * @property {number} hits Number of DBO requests served from the cache.
+	 * @property {number} misses Number of DBO requests that required building
+	 * a new DBO.
+	 * @property {number} evictions Number of DBOs evicted from the cache.
+	 */
+
+	/**
+	 * Get cache statistics.
+	 *
+	 * @returns {module:x2node-ws-resources~DBOCache~Stats} Cache statistics.
+	 */
+	getStats() {
+
+		return {
+			size: this._dbos.size,
+			maxSize: this._maxSize,
+			hits: this._hits,
+			misses: this._misses,
+			evictions: this._evictions
+		};
+	}
+
+	/**
+	 * Remove all DBOs from the cache. The statistics are not reset.
+	 */
+	clear() {
+
+		this._dbos.clear();
+	}
+}
+
+// export the class
+module.exports = DBOCache;
@@ -0,0 +1,325 @@
+'use strict';
+
+const common = require('x2node-common');
+const dbos = require('x2node-dbos');
+
+
+/**
+ * Default time, in milliseconds, for which the stored responses are kept.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_TTL = 24 * 3600 * 1000;
+
+/**
+ * Default maximum number of responses kept in the in-memory store.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_MAX_SIZE = 1000;
+
+/**
+ * Properties of the record type used by the persistent store in addition to
+ * the record id, with the expected value types.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const STORE_RECORD_PROPS = {
+	'fingerprint': 'string',
+	'statusCode': 'number',
+	'headers': 'string',
+	'contentType': 'string',
+	'entity': 'string',
+	'createdOn': 'datetime'
+};
+
+/**
+ * Response stored for an <code>Idempotency-Key</code> request header.
+ *
+ * @typedef {Object} module:x2node-ws-resources~IdempotentResponse
+ * @property {string} fingerprint Fingerprint of the request entity.
+ * @property {number} statusCode HTTP response status code.
+ * @property {Object.<string,string>} headers HTTP response headers, all names
+ * lowercase.
+ * @property {string} [contentType] Response entity content type, if the
+ * response has entity.
+ * @property {string} [entity] Response entity. JSON text if the content type
+ * is "application/json", UTF-8 text otherwise.
+ */
+
+/**
+ * Interface for the stores of responses to the requests made with an
+ * <code>Idempotency-Key</code> header.
+ *
+ * @interface IdempotencyStore
+ * @memberof module:x2node-ws-resources
+ */
+/**
+ * Get stored response.
+ *
+ * @function module:x2node-ws-resources.IdempotencyStore#get
+ * @param {string} key The key.
+ * @param {?module:x2node-common.Actor} actor Actor that made the request.
+ * @returns {Promise.<?module:x2node-ws-resources~IdempotentResponse>} Promise
+ * of the stored response, or <code>null</code> if none or expired.
+ */
+/**
+ * Store response.
+ *
+ * @function module:x2node-ws-resources.IdempotencyStore#save
+ * @param {string} key The key.
+ * @param {module:x2node-ws-resources~IdempotentResponse} response The
+ * response.
+ * @param {?module:x2node-common.Actor} actor Actor that made the request.
+ * @returns {Promise} Promise that is resolved when the response is stored.
+ */
+
+/**
+ * In-memory idempotency store. Evicts the oldest responses when the store is
+ * full.
+ *
+ * @memberof module:x2node-ws-resources
+ * @inner
+ * @implements {module:x2node-ws-resources.IdempotencyStore}
+ */
+class MemoryIdempotencyStore {
+
+	/**
+	 * Create new store.
+	 *
+	 * @param {Object} [options] Store options.
+	 * @param {number} [options.ttl] Time in milliseconds for which the
+	 * responses are kept. The default is 24 hours.
+	 * @param {number} [options.maxSize] Maximum number of responses kept in the
+	 * store. The default is 1000.
+	 */
+	constructor(options) {
+
+		this._ttl = ((options && options.ttl) || DEFAULT_TTL);
+		this._maxSize = ((options && options.maxSize) || DEFAULT_MAX_SIZE);
+
+		this._entries = new Map();
+	}
+
+	/**
+	 * Get stored response.
+	 *
+	 * @param {string} key The key.
+	 * @returns {Promise.<?module:x2node-ws-resources~IdempotentResponse>}
+	 * Promise of the stored response, or <code>null</code> if none or expired.
+	 */
+	get(key) {
+
+		const entry = this._entries.get(key);
+		if (!entry)
+			return Promise.resolve(null);
+
+		if (entry.expiresOn <= Date.now()) {
+			this._entries.delete(key);
+			return Promise.resolve(null);
+		}
+
+		return Promise.resolve(entry.response);
+	}
+
+	/**
+	 * Store response.
+	 *
+	 * @param {string} key The key.
+	 * @param {module:x2node-ws-resources~IdempotentResponse} response The
+	 * response.
+	 * @returns {Promise} Promise that is resolved when the response is stored.
+	 */
+	save(key, response) {
+
+		// remove the old entry to move the key to the end
+		this._entries.delete(key);
+
+		// evict the oldest entries if full
+		while (this._entries.size >= this._maxSize)
+			this._entries.delete(this._entries.keys().next().value);
+
+		// add the entry
+		this._entries.set(key, {
+			response: response,
+			expiresOn: Date.now() + this._ttl
+		});
+
+		return Promise.resolve();
+	}
+}
+
+/**
+ * Persistent idempotency store that keeps the responses as records of a
+ * record type. The record type must have a string id property, which is used
+ * for the keys, and the following properties: "fingerprint" (string),
+ * "statusCode" (number), "headers" (string), "contentType" (optional string),
+ * "entity" (optional string) and "createdOn" (datetime). Expired records are
+ * not deleted by the store except when the key is reused.
+ *
+ * @memberof module:x2node-ws-resources
+ * @inner
+ * @implements {module:x2node-ws-resources.IdempotencyStore}
+ */
+class RecordIdempotencyStore {
+
+	/**
+	 * Create new store.
+	 *
+	 * @param {module:x2node-dbos.DataSource} ds Data source.
+	 * @param {module:x2node-dbos~DBOFactory} dboFactory DBO factory.
+	 * @param {string} recordTypeName Name of the record type used to store the
+	 * responses.
+	 * @param {Object} [options] Store options.
+	 * @param {number} [options.ttl] Time in milliseconds for which the
+	 * responses are kept. The default is 24 hours.
+	 * @throws {module:x2node-common.X2UsageError} If the record type is not
+	 * suitable for the store.
+	 */
+	constructor(ds, dboFactory, recordTypeName, options) {
+
+		// check the record type
+		const recordTypes = dboFactory.recordTypes;
+		if (!recordTypes.hasRecordType(recordTypeName))
+			throw new common.X2UsageError(
+				`Unknown idempotency store record type ${recordTypeName}.`);
+		const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+		const idPropDesc = recordTypeDesc.getPropertyDesc(
+			recordTypeDesc.idPropertyName);
+		if (idPropDesc.scalarValueType !== 'string')
+			throw new common.X2UsageError(
+				`Idempotency store record type ${recordTypeName} must have a` +
+					` string id property.`);
+		for (let propName of Object.keys(STORE_RECORD_PROPS)) {
+			if (!recordTypeDesc.hasProperty(propName) ||
+				!recordTypeDesc.getPropertyDesc(propName).isScalar() ||
+				(recordTypeDesc.getPropertyDesc(propName).scalarValueType !==
+					STORE_RECORD_PROPS[propName]))
+				throw new common.X2UsageError(
+					`Idempotency store record type ${recordTypeName} must` +
+						` have scalar ${STORE_RECORD_PROPS[propName]}` +
+						` property ${propName}.`);
+		}
+
+		this._recordTypeName = recordTypeName;
+		this._idPropName = recordTypeDesc.idPropertyName;
+		this._ttl = ((options && options.ttl) || DEFAULT_TTL);
+
+		this._dboFactory = dboFactory;
+		this._txFactory = dboFactory.createTxFactory(ds);
+
+		// reusable DBOs
+		const filter = [ [ this._idPropName, dbos.param('key') ] ];
+		this._fetchDBO = dboFactory.buildFetch(recordTypeName, {
+			props: [ '*' ],
+			filter: filter
+		});
+		this._deleteDBO = dboFactory.buildDelete(recordTypeName, filter);
+	}
+
+	/**
+	 * Get stored response.
+	 *
+	 * @param {string} key The key.
+	 * @param {?module:x2node-common.Actor} actor Actor that made the request,
+	 * used to execute the fetch.
+	 * @returns {Promise.<?module:x2node-ws-resources~IdempotentResponse>}
+	 * Promise of the stored response, or <code>null</code> if none or expired.
+	 */
+	get(key, actor) {
+
+		return this._txFactory.executeTransaction(
+			tx => this._fetchDBO.execute(tx, actor, { key: key })
+		).then(result => {
+
+			// check if stored and not expired
+			const record = result.records[0];
+			if (!record ||
+				(Date.parse(record.createdOn) + this._ttl <= Date.now()))
+				return null;
+
+			// build the response
+			const response = {
+				fingerprint: record.fingerprint,
+				statusCode: record.statusCode,
+				headers: JSON.parse(record.headers)
+			};
+			if (record.contentType !== undefined) {
+				response.contentType = record.contentType;
+				response.entity = record.entity;
+			}
+
+			return response;
+		});
+	}
+
+	/**
+	 * Store response.
+	 *
+	 * @param {string} key The key.
+	 * @param {module:x2node-ws-resources~IdempotentResponse} response The
+	 * response.
+	 * @param {?module:x2node-common.Actor} actor Actor that made the request,
+	 * used to execute the delete and the insert.
+	 * @returns {Promise} Promise that is resolved when the response is stored.
+	 */
+	save(key, response, actor) {
+
+		// build the record
+		const record = {
+			fingerprint: response.fingerprint,
+			statusCode: response.statusCode,
+			headers: JSON.stringify(response.headers),
+			createdOn: (new Date()).toISOString()
+		};
+		record[this._idPropName] = key;
+		if (response.contentType !== undefined) {
+			record.contentType = response.contentType;
+			record.entity = response.entity;
+		}
+
+		// replace the expired record, if any, with the new one
+		return this._txFactory.executeTransaction(
+			tx => this._deleteDBO.execute(tx, actor, { key: key }).then(
+				() => this._dboFactory.buildInsert(
+					this._recordTypeName, record).execute(tx, actor)
+			)
+		);
+	}
+}
+
+/**
+ * Create in-memory idempotency store.
+ *
+ * @param {Object} [options] Store options. See
+ * [MemoryIdempotencyStore]{@link module:x2node-ws-resources~MemoryIdempotencyStore}
+ * constructor.
+ * @returns {module:x2node-ws-resources~MemoryIdempotencyStore} The store.
+ */
+exports.createMemoryIdempotencyStore = function(options) {
+
+	return new MemoryIdempotencyStore(options);
+};
+
+/**
+ * Create persistent idempotency store that uses the specified record type.
+ *
+ * @param {module:x2node-dbos.DataSource} ds Data source.
+ * @param {module:x2node-dbos~DBOFactory} dboFactory DBO factory.
+ * @param {string} recordTypeName Name of the record type used to store the
+ * responses.
+ * @param {Object} [options] Store options. See
+ * [RecordIdempotencyStore]{@link module:x2node-ws-resources~RecordIdempotencyStore}
+ * constructor.
+ * @returns {module:x2node-ws-resources~RecordIdempotencyStore} The store.
+ * @throws {module:x2node-common.X2UsageError} If the record type is not
+ * suitable for the store.
+ */
+exports.createRecordIdempotencyStore = function(
+	ds, dboFactory, recordTypeName, options) {
+
+	return new RecordIdempotencyStore(ds, dboFactory, recordTypeName, options);
+};
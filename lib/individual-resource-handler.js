@@ -34,8 +34,6 @@ function deepCopy(val) {
 	return res;
 }
 
-// TODO: support PUT for assigned id records
-
 /**
  * Standard individual resource web wervice endpoint handler.
  *
@@ -83,6 +81,9 @@ class IndividualResourceHandler extends AbstractResourceHandler {
 		case 'PATCH':
 			action = 'update';
 			break;
+		case 'PUT':
+			action = 'replace';
+			break;
 		case 'DELETE':
 			action = 'delete';
 			break;
@@ -141,11 +142,10 @@ class IndividualResourceHandler extends AbstractResourceHandler {
 		// proceed to the transaction
 		responsePromise = responsePromise.then(() => {
 
-			// build read DBO
-			// TODO: cache read DBO
+			// get read DBO
 			let readDBO;
 			try {
-				readDBO = this._dboFactory.buildFetch(
+				readDBO = this._dboCache.getFetch(
 					this._recordTypeName, txCtx.querySpec);
 			} catch (err) {
 				if (err instanceof common.X2SyntaxError) {
@@ -529,6 +529,346 @@ class IndividualResourceHandler extends AbstractResourceHandler {
 		});
 	}
 
+	/////////////////////////////////////////////////////////////////////////////
+	// process PUT call
+	/////////////////////////////////////////////////////////////////////////////
+	PUT(call) {
+
+		// transaction context
+		const txCtx = this._createTransactionContext(call);
+		txCtx.recordTmpl = call.entity;
+
+		// make sure that we have the entity
+		if (!txCtx.recordTmpl)
+			return ws.createResponse(400).setEntity({
+				errorCode: 'X2-RSRC-400-2',
+				errorMessage: 'Expected record data in the request entity.'
+			});
+
+		// make sure that the record id matches the URI
+		const idPropName = this._recordTypeDesc.idPropertyName;
+		const recordId = this.getRecordId(call);
+		if ((txCtx.recordTmpl[idPropName] !== undefined) &&
+			(txCtx.recordTmpl[idPropName] !== recordId))
+			return ws.createResponse(400).setEntity({
+				errorCode: 'X2-RSRC-400-7',
+				errorMessage: 'Record data does not match the resource URI.'
+			});
+		txCtx.recordTmpl[idPropName] = recordId;
+
+		// validate immediate uplink value, if any
+		if (this._uplinkChain.length > 0) {
+			const uplink = this._uplinkChain[0];
+			if ((uplink.uriParamOffset !== null) &&
+				(txCtx.recordTmpl[uplink.propPath] !==
+					uplink.recordTypeDesc.name + '#' +
+					uplink.value(call.uriParams[call.uriParams.length - 2])))
+				return ws.createResponse(400).setEntity({
+					errorCode: 'X2-RSRC-400-7',
+					errorMessage: 'Record data does not match the resource URI.'
+				});
+		}
+
+		// pre-resolve response promise
+		let responsePromise = Promise.resolve();
+
+		// build specification for the record pre-fetch DBO
+		txCtx.prefetchQueryParams = new Object();
+		txCtx.prefetchQuerySpec = {
+			props: [ '*' ],
+			filter: this._createFilter(call, txCtx.prefetchQueryParams),
+			lock: 'exclusive'
+		};
+
+		// lock the main records collection by default
+		txCtx.lockCollections = [ this._recordTypeName ];
+
+		// custom preparation logic
+		if ((typeof this.prepareReplace) === 'function')
+			responsePromise = responsePromise.then(() => Promise.resolve(
+				this.prepareReplace(txCtx, txCtx.recordTmpl)));
+
+		// proceed to the transaction
+		const assignedId =
+			!this._recordTypeDesc.getPropertyDesc(idPropName).isGenerated();
+		const responseType = this._options.put.response;
+		responsePromise = responsePromise.then(() => {
+
+			// build the DBOs
+			const prefetchDBO = this._dboFactory.buildFetch(
+				this._recordTypeName, txCtx.prefetchQuerySpec);
+
+			// assemble transaction phases
+			const txPhases = new Array();
+
+			// lock collections for update
+			const rcMonitor = this._dboFactory.recordCollectionsMonitor;
+			if (rcMonitor)
+				txPhases.push(
+					(_, txCtx) => rcMonitor.getCollectionsVersion(
+						txCtx.transaction,
+						new Set(txCtx.lockCollections),
+						'exclusive'
+					)
+				);
+
+			// record fetch and pre-conditions check
+			txPhases.push((tx, txCtx) => prefetchDBO.execute(
+				tx, call.actor, txCtx.prefetchQueryParams).then(result => {
+
+					// check if got the record
+					if (result.records.length === 0) {
+
+						// check if can create new record
+						if (!assignedId)
+							return Promise.reject(
+								ws.createResponse(404).setEntity({
+									errorCode: 'X2-RSRC-404-1',
+									errorMessage: 'Record not found.'
+								}));
+
+						// check pre-conditions
+						const response = this._evaluateNewRecordPreconditions(
+							txCtx.call);
+						if (response)
+							return Promise.reject(response);
+
+						// proceed with creating the record
+						txCtx.created = true;
+						return null;
+					}
+
+					// check pre-conditions
+					const record = result.records[0];
+					const recVI = this._getRecordVersionInfo(txCtx.call, record);
+					const response = this._evaluatePreconditions(
+						txCtx.call, recVI.etag, recVI.lastModified);
+					if (response)
+						return Promise.reject(response);
+
+					// save the original record
+					txCtx.originalRecord = deepCopy(record);
+					txCtx.referredRecords = result.referredRecords;
+
+					// return the record
+					return record;
+				})
+			);
+
+			// custom "before" hook
+			if ((typeof this.beforeReplace) === 'function')
+				txPhases.push((_, txCtx, record) => {
+					const hookResult = this.beforeReplace(txCtx, record);
+					if ((hookResult !== undefined) &&
+						(hookResult !== null) &&
+						((typeof hookResult.then) === 'function'))
+						return hookResult.then(() => record);
+					return record;
+				});
+
+			// validate and normalize the new record
+			txPhases.push((_, txCtx, record) => {
+
+				// keep the server-side properties of the existing record
+				const recordTmpl = txCtx.recordTmpl;
+				const recordTypeDesc = this._recordTypeDesc;
+				if (record) {
+					for (let propName of recordTypeDesc.allPropertyNames) {
+						const propDesc = recordTypeDesc.getPropertyDesc(
+							propName);
+						const origVal = record[propName];
+						if (propDesc.isRecordMetaInfo() ||
+							propDesc.isCalculated() || propDesc.isView() ||
+							propDesc.reverseRefPropertyName) {
+							if (origVal !== undefined)
+								recordTmpl[propName] = deepCopy(origVal);
+							else
+								delete recordTmpl[propName];
+						} else if (!propDesc.modifiable &&
+							(origVal !== undefined) &&
+							(recordTmpl[propName] === undefined)) {
+							recordTmpl[propName] = deepCopy(origVal);
+						}
+					}
+				}
+
+				// validate the record data
+				const errors = validators.normalizeRecord(
+					this._recordTypes, this._recordTypeName,
+					recordTmpl,
+					call.httpRequest.headers['Accept-Language'],
+					(record ? 'onUpdate' : 'onCreate')
+				);
+				if (errors)
+					return Promise.reject(
+						ws.createResponse(400).setEntity({
+							errorCode: 'X2-RSRC-400-3',
+							errorMessage: 'Invalid record data.',
+							validationErrors: errors
+						}));
+
+				// record data is valid, continue
+				return record;
+			});
+
+			// check that the parent record exists if creating new record
+			if (assignedId && (this._uplinkChain.length > 0))
+				txPhases.push((tx, txCtx, record) => {
+					if (record)
+						return record;
+					const parentQueryParams = new Object();
+					return this._dboFactory.buildFetch(
+						this._uplinkChain[0].recordTypeDesc.name,
+						this._buildParentRecordFetchQuerySpec(
+							call, -2, txCtx.recordTmpl, parentQueryParams)
+					).execute(
+						tx, call.actor, parentQueryParams
+					).then(result => {
+						if (result.records.length === 0)
+							return Promise.reject(
+								ws.createResponse(404).setEntity({
+									errorCode: 'X2-RSRC-404-2',
+									errorMessage: 'Parent record not found.'
+								}));
+						txCtx.parentRecord = result.records[0];
+						return null;
+					});
+				});
+
+			// save the record
+			txPhases.push((tx, txCtx, record) => {
+
+				// create new record
+				if (!record)
+					return this._dboFactory.buildInsert(
+						this._recordTypeName, txCtx.recordTmpl
+					).execute(
+						tx, call.actor
+					).then(
+						newRecordId => this._recordFetchByIdDBO.execute(
+							tx, call.actor, {
+								id: newRecordId
+							})
+					).then(result => result.records[0]);
+
+				// build the patch that replaces the record and the update DBO
+				let updateDBO;
+				try {
+					updateDBO = this._dboFactory.buildUpdate(
+						this._recordTypeName,
+						patches.build(
+							this._recordTypes, this._recordTypeName,
+							patches.fromDiff(
+								this._recordTypes, this._recordTypeName,
+								txCtx.originalRecord, txCtx.recordTmpl
+							)
+						),
+						() => [ txCtx.originalRecord ]
+					);
+				} catch (err) {
+					if (err instanceof common.X2SyntaxError)
+						return Promise.reject(
+							ws.createResponse(400).setEntity({
+								errorCode: 'X2-RSRC-400-3',
+								errorMessage: 'Invalid record data: ' +
+									err.message
+							}));
+					return Promise.reject(err);
+				}
+
+				// execute the DBO
+				return updateDBO.execute(tx, call.actor).then(result => {
+					txCtx.updateResult = result;
+					delete txCtx.originalRecord;
+					return result.records[0];
+				});
+			});
+
+			// re-read replaced record from the database if configured
+			if (responseType === 'reread')
+				txPhases.push(
+					(tx, txCtx, record) => (
+						txCtx.created ?
+							record :
+							this._recordFetchByIdDBO.execute(
+								tx, call.actor, {
+									id: record[idPropName]
+								}).then(result => result.records[0])
+					));
+
+			// custom "after" hook
+			if ((typeof this.afterReplace) === 'function')
+				txPhases.push(
+					(_, txCtx, record) => this.afterReplace(txCtx, record));
+
+			// execute the transaction
+			return this._executeTransaction(txCtx, txPhases);
+		});
+
+		// custom completion logic
+		if ((typeof this.completeReplace) === 'function')
+			responsePromise = responsePromise.then(
+				record => Promise.resolve(
+					this.completeReplace(undefined, txCtx, record)),
+				err => Promise.reject(
+					this.completeReplace(err, txCtx, undefined))
+			);
+
+		// build and return the response promise
+		return responsePromise.then(record => {
+
+			// check if already a response
+			if (ws.isResponse(record))
+				return record;
+
+			// save replaced record version information
+			const recVI = this._getRecordVersionInfo(call, record);
+			this._saveValidatorHeaders(txCtx, recVI.etag, recVI.lastModified);
+
+			// create response
+			let response;
+			switch (responseType) {
+			case 'nocontent':
+				response = ws.createResponse(txCtx.created ? 201 : 204);
+				break;
+			default: // replaced record in the response
+				response = ws.createResponse(txCtx.created ? 201 : 200)
+					.setHeader('Content-Location', call.requestUrl.pathname)
+					.setEntity(record);
+			}
+			if (txCtx.created)
+				response.setHeader('Location', call.requestUrl.pathname);
+
+			// add record version informtation to the response and return it
+			return this._addValidatorHeaders(txCtx, response);
+		});
+	}
+
+	/**
+	 * Evaluate conditional request's pre-conditions when the addressed record
+	 * does not exist and is going to be created.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @returns {module:x2node-ws.ServiceResponse} Service response if
+	 * pre-conditions failed, or nothing if the call can proceed.
+	 */
+	_evaluateNewRecordPreconditions(call) {
+
+		const requestHeaders = call.httpRequest.headers;
+		if (requestHeaders['if-match'] !== undefined)
+			return ws.createResponse(412).setEntity({
+				errorCode: 'X2-RSRC-412-1',
+				errorMessage: 'If-Match precondition failed.'
+			});
+		const val = requestHeaders['if-unmodified-since'];
+		if ((val !== undefined) && !Number.isNaN((new Date(val)).getTime()))
+			return ws.createResponse(412).setEntity({
+				errorCode: 'X2-RSRC-412-2',
+				errorMessage: 'If-Unmodified-Since precondition failed.'
+			});
+	}
+
 	/////////////////////////////////////////////////////////////////////////////
 	// process DELETE call
 	/////////////////////////////////////////////////////////////////////////////
@@ -557,9 +897,8 @@ class IndividualResourceHandler extends AbstractResourceHandler {
 		// proceed to the transaction
 		responsePromise = responsePromise.then(() => {
 
-			// build delete DBO
-			// TODO: cache delete DBO
-			const deleteDBO = this._dboFactory.buildDelete(
+			// get delete DBO
+			const deleteDBO = this._dboCache.getDelete(
 				this._recordTypeName, txCtx.selectionFilter);
 
 			// assemble transaction phases
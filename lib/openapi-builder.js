@@ -0,0 +1,901 @@
+'use strict';
+
+const CollectionResourceHandler = require('./collection-resource-handler.js');
+const IndividualResourceHandler = require('./individual-resource-handler.js');
+
+
+/**
+ * OpenAPI specification version of the generated documents.
+ *
+ * @private
+ * @constant {string}
+ */
+const OPENAPI_VERSION = '3.0.3';
+
+/**
+ * Descriptions of the error responses by the error code.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const ERROR_DESCRIPTIONS = {
+	'X2-RSRC-400-1': 'Invalid query string.',
+	'X2-RSRC-400-2': 'Expected record data in the request entity.',
+	'X2-RSRC-400-3': 'Invalid record data.',
+	'X2-RSRC-400-4': 'Expected patch document in the request body.',
+	'X2-RSRC-400-5': 'Invalid patch document.',
+	'X2-RSRC-400-6': 'Invalid record properties selection in the query string.',
+	'X2-RSRC-400-7': 'Record data does not match the resource URI.',
+	'X2-RSRC-400-8': 'Unable to apply the patch.',
+	'X2-RSRC-400-9': 'Explicit filter is required.',
+	'X2-RSRC-400-10': 'Requested records range exceeds the maximum.',
+	'X2-RSRC-400-11': 'Query exceeds complexity limits.',
+	'X2-RSRC-400-12': 'Too many records in the request entity.',
+	'X2-RSRC-404-1': 'Record not found.',
+	'X2-RSRC-404-2': 'Parent record not found.',
+	'X2-RSRC-409-1': 'Request with the same idempotency key is in progress.',
+	'X2-RSRC-412-1': 'If-Match precondition failed.',
+	'X2-RSRC-412-2': 'If-Unmodified-Since precondition failed.',
+	'X2-RSRC-412-3': 'If-None-Match precondition failed.',
+	'X2-RSRC-415-1': 'Unsupported patch document format.',
+	'X2-RSRC-422-1': 'Patch results in invalid record data.',
+	'X2-RSRC-422-2': 'Patch "test" operation failed.',
+	'X2-RSRC-422-3': 'Idempotency key was used with a different request.'
+};
+
+/**
+ * Error codes of the precondition failure responses.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const PRECONDITION_ERRORS = [
+	'X2-RSRC-412-1', 'X2-RSRC-412-2', 'X2-RSRC-412-3'
+];
+
+
+/**
+ * Build OpenAPI document describing the specified resource handlers.
+ *
+ * @protected
+ * @param {Object} info The OpenAPI "info" object for the document.
+ * @param {Array.<Object>} endpoints Endpoint descriptors, each with
+ * <code>uriPattern</code> and <code>handler</code> properties.
+ * @returns {Object} The OpenAPI document.
+ */
+exports.buildOpenAPIDocument = function(info, endpoints) {
+
+	// document to build
+	const doc = {
+		openapi: OPENAPI_VERSION,
+		info: info,
+		paths: new Object(),
+		components: {
+			schemas: {
+				'Error': {
+					type: 'object',
+					properties: {
+						'errorCode': { type: 'string' },
+						'errorMessage': { type: 'string' },
+						'validationErrors': {
+							type: 'object',
+							additionalProperties: {
+								type: 'array',
+								items: { type: 'string' }
+							}
+						},
+						'queryErrors': {
+							type: 'array',
+							items: {
+								type: 'object',
+								properties: {
+									'param': { type: 'string' },
+									'value': {},
+									'segment': { type: 'string' },
+									'kind': { type: 'string' },
+									'allowed': {
+										type: 'array',
+										items: { type: 'string' }
+									}
+								},
+								required: [ 'kind' ]
+							}
+						},
+						'results': {
+							type: 'array',
+							items: { type: 'object', nullable: true }
+						}
+					}
+				}
+			}
+		}
+	};
+
+	// add endpoints
+	for (let endpoint of endpoints) {
+		const handler = endpoint.handler;
+
+		// add the record type schema
+		addRecordTypeSchema(doc, handler._recordTypeDesc);
+
+		// convert the URI pattern into the path template
+		const path = toPathTemplate(
+			endpoint.uriPattern, getUriParamNames(handler));
+
+		// build the path item
+		let pathItem;
+		if (handler instanceof CollectionResourceHandler)
+			pathItem = buildCollectionPathItem(doc, handler);
+		else if (handler instanceof IndividualResourceHandler)
+			pathItem = buildIndividualPathItem(handler);
+		else
+			continue;
+
+		// add URI parameters
+		if (path.params.length > 0)
+			pathItem.parameters = path.params;
+
+		// add the path item to the document
+		doc.paths[path.template] = pathItem;
+	}
+
+	// return the document
+	return doc;
+};
+
+/**
+ * Get names for the handler's record id URI parameters, top record type first
+ * and the last one corresponding to the last URI parameter.
+ *
+ * @private
+ * @param {module:x2node-ws-resources~AbstractResourceHandler} handler The
+ * handler.
+ * @returns {Array.<Object>} Descriptors with <code>name</code> and
+ * <code>recordTypeDesc</code> properties.
+ */
+function getUriParamNames(handler) {
+
+	const recordTypeDescs = handler._uplinkChain.filter(
+		uplink => (uplink.uriParamOffset !== null)
+	).map(uplink => uplink.recordTypeDesc).reverse();
+	if (handler instanceof IndividualResourceHandler)
+		recordTypeDescs.push(handler._recordTypeDesc);
+
+	const usedNames = new Set();
+	return recordTypeDescs.map(recordTypeDesc => {
+		const baseName = recordTypeDesc.name.substring(0, 1).toLowerCase() +
+			recordTypeDesc.name.substring(1) + 'Id';
+		let name = baseName;
+		for (let i = 2; usedNames.has(name); i++)
+			name = baseName + i;
+		usedNames.add(name);
+		return {
+			name: name,
+			recordTypeDesc: recordTypeDesc
+		};
+	});
+}
+
+/**
+ * Convert endpoint URI regular expression pattern into OpenAPI path template.
+ * Top-level capturing groups in the pattern become path parameters.
+ *
+ * @private
+ * @param {string} uriPattern Endpoint URI pattern.
+ * @param {Array.<Object>} idParams Record id URI parameter descriptors
+ * corresponding to the last capturing groups in the pattern.
+ * @returns {Object} Object with <code>template</code> string and
+ * <code>params</code> array of OpenAPI parameter objects.
+ */
+function toPathTemplate(uriPattern, idParams) {
+
+	// find top-level capturing groups, split the rest into literal pieces
+	const groups = new Array(), pieces = [ '' ];
+	let depth = 0, groupStart;
+	for (let i = 0, len = uriPattern.length; i < len; i++) {
+		const c = uriPattern[i];
+		if (c === '\\') {
+			if (depth === 0)
+				pieces[pieces.length - 1] += uriPattern[i + 1];
+			i++;
+		} else if (c === '(') {
+			if ((depth === 0) && (uriPattern[i + 1] !== '?'))
+				groupStart = i;
+			depth++;
+		} else if (c === ')') {
+			depth--;
+			if ((depth === 0) && (groupStart !== undefined)) {
+				groups.push(uriPattern.substring(groupStart, i + 1));
+				pieces.push('');
+				groupStart = undefined;
+			}
+		} else if ((depth === 0) && (c !== '^') && (c !== '$')) {
+			pieces[pieces.length - 1] += c;
+		}
+	}
+
+	// name the parameters
+	const numOtherParams = groups.length - idParams.length;
+	const params = groups.map((group, i) => {
+		const idParam = (
+			i >= numOtherParams ? idParams[i - numOtherParams] : undefined);
+		const param = {
+			name: (idParam ? idParam.name : `param${i + 1}`),
+			in: 'path',
+			required: true,
+			schema: { type: 'string', pattern: `^${group}$` }
+		};
+		if (idParam) {
+			const idPropDesc = idParam.recordTypeDesc.getPropertyDesc(
+				idParam.recordTypeDesc.idPropertyName);
+			if (idPropDesc.scalarValueType === 'number')
+				param.schema = { type: 'integer' };
+			param.description = `${idParam.recordTypeDesc.name} record id.`;
+		}
+		return param;
+	});
+
+	// build the template
+	const template = pieces.reduce(
+		(res, piece, i) => res + '{' + params[i - 1].name + '}' + piece);
+
+	// return the result
+	return {
+		template: template,
+		params: params
+	};
+}
+
+/**
+ * Add record type schema to the document components, if not added yet.
+ *
+ * @private
+ * @param {Object} doc The OpenAPI document.
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @returns {Object} Schema reference object.
+ */
+function addRecordTypeSchema(doc, recordTypeDesc) {
+
+	const schemas = doc.components.schemas;
+	if (!schemas[recordTypeDesc.name])
+		schemas[recordTypeDesc.name] = buildContainerSchema(recordTypeDesc);
+
+	return schemaRef(recordTypeDesc.name);
+}
+
+/**
+ * Create schema reference object.
+ *
+ * @private
+ * @param {string} name Schema name.
+ * @returns {Object} The reference object.
+ */
+function schemaRef(name) {
+
+	return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Build schema for a record type or a nested object.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container Properties
+ * container.
+ * @returns {Object} The schema.
+ */
+function buildContainerSchema(container) {
+
+	const schema = {
+		type: 'object',
+		properties: new Object()
+	};
+
+	if (container.isPolymorph())
+		return schema;
+
+	const required = new Array();
+	for (let propName of container.allPropertyNames) {
+		const propDesc = container.getPropertyDesc(propName);
+		schema.properties[propName] = buildPropertySchema(propDesc);
+		if (!propDesc.optional)
+			required.push(propName);
+	}
+	if (required.length > 0)
+		schema.required = required;
+
+	return schema;
+}
+
+/**
+ * Build schema for a record property.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {Object} The schema.
+ */
+function buildPropertySchema(propDesc) {
+
+	// build scalar value schema
+	let schema;
+	switch (propDesc.scalarValueType) {
+	case 'string':
+		schema = { type: 'string' };
+		break;
+	case 'number':
+		schema = { type: 'number' };
+		break;
+	case 'boolean':
+		schema = { type: 'boolean' };
+		break;
+	case 'datetime':
+		schema = { type: 'string', format: 'date-time' };
+		break;
+	case 'ref':
+		schema = { type: 'string' };
+		if (propDesc.refTarget)
+			schema.pattern = `^${propDesc.refTarget}#`;
+		break;
+	case 'object':
+		schema = buildContainerSchema(propDesc.nestedProperties);
+		break;
+	default:
+		schema = new Object();
+	}
+
+	// wrap it in collection schema
+	if (propDesc.isArray())
+		schema = { type: 'array', items: schema };
+	else if (propDesc.isMap())
+		schema = { type: 'object', additionalProperties: schema };
+
+	// mark read-only properties
+	if (propDesc.isId() || propDesc.isGenerated() ||
+		propDesc.isRecordMetaInfo() || propDesc.isCalculated() ||
+		propDesc.isView() || propDesc.reverseRefPropertyName)
+		schema.readOnly = true;
+
+	// return the schema
+	return schema;
+}
+
+/**
+ * Build error responses object for the specified error codes.
+ *
+ * @private
+ * @param {Array.<string>} errorCodes Error codes.
+ * @returns {Object.<string,Object>} OpenAPI responses by HTTP status code.
+ */
+function buildErrorResponses(errorCodes) {
+
+	const responses = new Object();
+	for (let errorCode of errorCodes) {
+		const statusCode = errorCode.split('-')[2];
+		let response = responses[statusCode];
+		if (!response)
+			response = responses[statusCode] = {
+				description: '',
+				content: {
+					'application/json': {
+						schema: schemaRef('Error')
+					}
+				}
+			};
+		if (response.description.length > 0)
+			response.description += ' ';
+		response.description +=
+			`${errorCode}: ${ERROR_DESCRIPTIONS[errorCode]}`;
+	}
+
+	return responses;
+}
+
+/**
+ * Build patch document request body object.
+ *
+ * @private
+ * @returns {Object} OpenAPI request body object.
+ */
+function buildPatchRequestBody() {
+
+	return {
+		required: true,
+		content: {
+			'application/json-patch+json': {
+				schema: {
+					type: 'array',
+					items: {
+						type: 'object',
+						properties: {
+							'op': {
+								type: 'string',
+								enum: [
+									'add', 'remove', 'replace', 'move',
+									'copy', 'test'
+								]
+							},
+							'path': { type: 'string' },
+							'from': { type: 'string' },
+							'value': {}
+						},
+						required: [ 'op', 'path' ]
+					}
+				}
+			},
+			'application/merge-patch+json': {
+				schema: { type: 'object' }
+			}
+		}
+	};
+}
+
+/**
+ * Build search query parameters.
+ *
+ * @private
+ * @param {string} queryParts Query parts to include. A line of characters
+ * including "p", "f", "o", "r" and "c".
+ * @returns {Array.<Object>} OpenAPI parameter objects.
+ */
+function buildSearchQueryParams(queryParts) {
+
+	const params = new Array();
+
+	if (queryParts.indexOf('p') >= 0)
+		params.push({
+			name: 'p',
+			in: 'query',
+			description: 'Comma-separated list of property path patterns' +
+				' to include in the result.',
+			schema: { type: 'string' }
+		});
+
+	if (queryParts.indexOf('f') >= 0)
+		params.push({
+			name: 'f',
+			in: 'query',
+			description: 'Filter tests as f$<test>=<value> parameters.' +
+				' Nested groups are specified as f$:<junction>=<group_id>' +
+				' and <group_id>$<test>=<value> parameters.',
+			style: 'form',
+			explode: true,
+			schema: {
+				type: 'object',
+				additionalProperties: { type: 'string' }
+			}
+		}, {
+			name: 'filter',
+			in: 'query',
+			description: 'Filter expression in RSQL syntax. Combined with' +
+				' the f$ filter tests, if any, using logical "and".',
+			schema: { type: 'string' }
+		});
+
+	if (queryParts.indexOf('q') >= 0)
+		params.push({
+			name: 'q',
+			in: 'query',
+			description: 'Free-text search terms separated with spaces.',
+			schema: { type: 'string' }
+		});
+
+	if (queryParts.indexOf('o') >= 0)
+		params.push({
+			name: 'o',
+			in: 'query',
+			description: 'Comma-separated list of order expressions.',
+			schema: { type: 'string' }
+		});
+
+	if (queryParts.indexOf('r') >= 0)
+		params.push({
+			name: 'r',
+			in: 'query',
+			description: 'Range as the first record index and the maximum' +
+				' number of records.',
+			schema: { type: 'string', pattern: '^[0-9]+,[0-9]+$' }
+		});
+
+	if (queryParts.indexOf('c') >= 0)
+		params.push({
+			name: 'c',
+			in: 'query',
+			description: 'Cursor for cursor pagination. Empty value requests' +
+				' the first page.',
+			allowEmptyValue: true,
+			schema: { type: 'string' }
+		});
+
+	return params;
+}
+
+/**
+ * Build path item for a collection resource handler.
+ *
+ * @private
+ * @param {Object} doc The OpenAPI document.
+ * @param {module:x2node-ws-resources.CollectionResourceHandler} handler The
+ * handler.
+ * @returns {Object} The path item object.
+ */
+function buildCollectionPathItem(doc, handler) {
+
+	const recordTypeName = handler._recordTypeName;
+	const recordSchema = schemaRef(recordTypeName);
+	const tags = [ recordTypeName ];
+	const pathItem = new Object();
+
+	// search
+	if ((typeof handler.GET) === 'function') {
+		const resultSchemaName = `${recordTypeName}SearchResult`;
+		doc.components.schemas[resultSchemaName] = {
+			type: 'object',
+			properties: {
+				'recordTypeName': { type: 'string' },
+				'records': { type: 'array', items: recordSchema },
+				'referredRecords': {
+					type: 'object',
+					additionalProperties: { type: 'object' }
+				},
+				'count': { type: 'integer' },
+				'facets': {
+					type: 'object',
+					additionalProperties: {
+						type: 'array',
+						items: {
+							type: 'object',
+							properties: {
+								'value': {},
+								'count': { type: 'integer' }
+							}
+						}
+					}
+				},
+				'nextCursor': { type: 'string' },
+				'prevCursor': { type: 'string' }
+			},
+			required: [ 'recordTypeName', 'records' ]
+		};
+		if (!doc.components.schemas['DistinctValues'])
+			doc.components.schemas['DistinctValues'] = {
+				type: 'object',
+				properties: {
+					'recordTypeName': { type: 'string' },
+					'propPath': { type: 'string' },
+					'values': { type: 'array', items: {} }
+				},
+				required: [ 'recordTypeName', 'propPath', 'values' ]
+			};
+		pathItem.get = {
+			tags: tags,
+			summary: `Search ${recordTypeName} records.`,
+			parameters: buildSearchQueryParams(
+				handler._textSearch ? 'pfqorc' : 'pforc').concat(
+				handler._searchPresets.size > 0 ? {
+					name: 'preset',
+					in: 'query',
+					description: 'Named query preset.',
+					schema: {
+						type: 'string',
+						enum: Array.from(handler._searchPresets.keys())
+					}
+				} : [], {
+				name: 'facet',
+				in: 'query',
+				description: 'Comma-separated list of property paths to' +
+					' count matching records for each distinct value of.',
+				schema: { type: 'string' }
+			}, {
+				name: 'distinct',
+				in: 'query',
+				description: 'Property path to return distinct values of' +
+					' instead of the matching records.',
+				schema: { type: 'string' }
+			}, {
+				name: 'prefix',
+				in: 'query',
+				description: 'Return only distinct values that start with' +
+					' the prefix.',
+				schema: { type: 'string' }
+			}, {
+				name: 'limit',
+				in: 'query',
+				description: 'Maximum number of distinct values to return.',
+				schema: { type: 'integer', minimum: 1 }
+			}),
+			responses: Object.assign({
+				'200': {
+					description: 'Search result, or distinct values if' +
+						' requested.',
+					content: {
+						'application/json': {
+							schema: {
+								oneOf: [
+									schemaRef(resultSchemaName),
+									schemaRef('DistinctValues')
+								]
+							}
+						},
+						'application/x-ndjson': {
+							schema: {
+								type: 'string',
+								description: 'Records, one per line,' +
+									' followed by the referred records and' +
+									' the rest of the result object.'
+							}
+						},
+						'text/csv': {
+							schema: { type: 'string' }
+						}
+					}
+				},
+				'304': { description: 'Not modified.' }
+			}, buildErrorResponses(
+				[ 'X2-RSRC-400-1', 'X2-RSRC-400-10', 'X2-RSRC-400-11' ].concat(
+					PRECONDITION_ERRORS)))
+		};
+	}
+
+	// create
+	if ((typeof handler.POST) === 'function')
+		pathItem.post = {
+			tags: tags,
+			summary: `Create new ${recordTypeName} record.`,
+			requestBody: {
+				required: true,
+				content: {
+					'application/json': { schema: recordSchema }
+				}
+			},
+			responses: Object.assign({
+				'201': {
+					description: 'Record created.',
+					content: {
+						'application/json': { schema: recordSchema }
+					}
+				}
+			}, buildErrorResponses([
+				'X2-RSRC-400-2', 'X2-RSRC-400-3', 'X2-RSRC-400-7',
+				'X2-RSRC-404-2'
+			].concat(
+				pathItem.get && handler._postSearch ?
+					[ 'X2-RSRC-400-1', 'X2-RSRC-400-10', 'X2-RSRC-400-11' ] :
+					[],
+				handler._bulkCreate ? [ 'X2-RSRC-400-12' ] : [],
+				handler._idempotencyStore ?
+					[ 'X2-RSRC-409-1', 'X2-RSRC-422-3' ] : [],
+				PRECONDITION_ERRORS
+			)))
+		};
+
+	// bulk create
+	if (pathItem.post && handler._bulkCreate) {
+		pathItem.post.summary += ' Create multiple records if the request' +
+			' body is an array.';
+		pathItem.post.requestBody.content['application/json'].schema = {
+			oneOf: [
+				recordSchema,
+				{ type: 'array', items: recordSchema, minItems: 1 }
+			]
+		};
+		if (handler._bulkCreate.maxRecords !== undefined)
+			pathItem.post.requestBody.content['application/json'].schema
+				.oneOf[1].maxItems = handler._bulkCreate.maxRecords;
+		pathItem.post.responses['200'] = {
+			description: 'Records created, or some of them skipped.',
+			content: {
+				'application/json': {
+					schema: {
+						type: 'object',
+						properties: {
+							'recordTypeName': { type: 'string' },
+							'results': {
+								type: 'array',
+								items: {
+									type: 'object',
+									properties: {
+										'status': { type: 'integer' },
+										'id': {},
+										'location': { type: 'string' },
+										'etag': { type: 'string' },
+										'lastModified': { type: 'string' },
+										'record': recordSchema,
+										'errorCode': { type: 'string' },
+										'errorMessage': { type: 'string' },
+										'validationErrors': {
+											type: 'object',
+											additionalProperties: {
+												type: 'array',
+												items: { type: 'string' }
+											}
+										}
+									},
+									required: [ 'status' ]
+								}
+							}
+						},
+						required: [ 'recordTypeName', 'results' ]
+					}
+				}
+			}
+		};
+	}
+
+	// idempotency key
+	if (pathItem.post && handler._idempotencyStore)
+		pathItem.post.parameters = [ {
+			name: 'Idempotency-Key',
+			in: 'header',
+			description: 'Unique key that makes retries of the record' +
+				' creation request safe.',
+			schema: { type: 'string' }
+		} ];
+
+	// search with a query document
+	if (pathItem.get && pathItem.post && handler._postSearch) {
+		pathItem.post.summary += ` Search ${recordTypeName} records if` +
+			' the request body is a search query document.';
+		pathItem.post.requestBody.content['application/x-search-query+json'] = {
+			schema: {
+				type: 'object',
+				properties: {
+					'props': { type: 'array', items: { type: 'string' } },
+					'filter': {},
+					'q': { type: 'string' },
+					'order': { type: 'array', items: { type: 'string' } },
+					'range': {
+						type: 'array',
+						items: { type: 'integer' },
+						minItems: 2,
+						maxItems: 2
+					},
+					'cursor': { type: 'string' },
+					'preset': { type: 'string' },
+					'params': {
+						type: 'object',
+						additionalProperties: { type: 'string' }
+					},
+					'facets': { type: 'array', items: { type: 'string' } },
+					'distinct': { type: 'string' },
+					'prefix': { type: 'string' },
+					'limit': { type: 'integer', minimum: 1 }
+				}
+			}
+		};
+		pathItem.post.responses['200'] = pathItem.get.responses['200'];
+		pathItem.post.responses['304'] = pathItem.get.responses['304'];
+	}
+
+	// bulk update
+	if ((typeof handler.PATCH) === 'function')
+		pathItem.patch = {
+			tags: tags,
+			summary: `Update matching ${recordTypeName} records.`,
+			parameters: buildSearchQueryParams('f'),
+			requestBody: buildPatchRequestBody(),
+			responses: Object.assign({
+				'200': {
+					description: 'Update result.',
+					content: {
+						'application/json': { schema: { type: 'object' } }
+					}
+				}
+			}, buildErrorResponses([
+				'X2-RSRC-400-1', 'X2-RSRC-400-4', 'X2-RSRC-400-5',
+				'X2-RSRC-400-9', 'X2-RSRC-400-11', 'X2-RSRC-415-1', 'X2-RSRC-422-1'
+			].concat(PRECONDITION_ERRORS)))
+		};
+
+	return pathItem;
+}
+
+/**
+ * Build path item for an individual resource handler.
+ *
+ * @private
+ * @param {module:x2node-ws-resources.IndividualResourceHandler} handler The
+ * handler.
+ * @returns {Object} The path item object.
+ */
+function buildIndividualPathItem(handler) {
+
+	const recordTypeName = handler._recordTypeName;
+	const recordSchema = schemaRef(recordTypeName);
+	const tags = [ recordTypeName ];
+	const pathItem = new Object();
+
+	// read
+	if ((typeof handler.GET) === 'function')
+		pathItem.get = {
+			tags: tags,
+			summary: `Get ${recordTypeName} record.`,
+			parameters: buildSearchQueryParams('p'),
+			responses: Object.assign({
+				'200': {
+					description: 'The record.',
+					content: {
+						'application/json': { schema: recordSchema }
+					}
+				},
+				'304': { description: 'Not modified.' }
+			}, buildErrorResponses([
+				'X2-RSRC-400-6', 'X2-RSRC-404-1'
+			].concat(PRECONDITION_ERRORS)))
+		};
+
+	// update
+	if ((typeof handler.PATCH) === 'function')
+		pathItem.patch = {
+			tags: tags,
+			summary: `Update ${recordTypeName} record.`,
+			requestBody: buildPatchRequestBody(),
+			responses: Object.assign({
+				'200': {
+					description: 'The updated record.',
+					content: {
+						'application/json': { schema: recordSchema }
+					}
+				},
+				'204': { description: 'Record updated.' }
+			}, buildErrorResponses([
+				'X2-RSRC-400-4', 'X2-RSRC-400-5', 'X2-RSRC-400-8',
+				'X2-RSRC-404-1', 'X2-RSRC-415-1', 'X2-RSRC-422-1',
+				'X2-RSRC-422-2'
+			].concat(PRECONDITION_ERRORS)))
+		};
+
+	// replace
+	if ((typeof handler.PUT) === 'function') {
+		const idPropDesc = handler._recordTypeDesc.getPropertyDesc(
+			handler._recordTypeDesc.idPropertyName);
+		pathItem.put = {
+			tags: tags,
+			summary: `Replace ${recordTypeName} record.`,
+			requestBody: {
+				required: true,
+				content: {
+					'application/json': { schema: recordSchema }
+				}
+			},
+			responses: Object.assign({
+				'200': {
+					description: 'The replaced record.',
+					content: {
+						'application/json': { schema: recordSchema }
+					}
+				},
+				'204': { description: 'Record replaced.' }
+			}, buildErrorResponses([
+				'X2-RSRC-400-2', 'X2-RSRC-400-3', 'X2-RSRC-400-7',
+				'X2-RSRC-404-1'
+			].concat(PRECONDITION_ERRORS)))
+		};
+		if (!idPropDesc.isGenerated()) {
+			pathItem.put.summary =
+				`Replace or create ${recordTypeName} record.`;
+			pathItem.put.responses['201'] = {
+				description: 'Record created.',
+				content: {
+					'application/json': { schema: recordSchema }
+				}
+			};
+			if (handler._uplinkChain.length > 0)
+				pathItem.put.responses['404'].description +=
+					` X2-RSRC-404-2: ${ERROR_DESCRIPTIONS['X2-RSRC-404-2']}`;
+		}
+	}
+
+	// delete
+	if ((typeof handler.DELETE) === 'function')
+		pathItem.delete = {
+			tags: tags,
+			summary: `Delete ${recordTypeName} record.`,
+			responses: Object.assign({
+				'204': { description: 'Record deleted.' }
+			}, buildErrorResponses(
+				[ 'X2-RSRC-404-1' ].concat(PRECONDITION_ERRORS)))
+		};
+
+	return pathItem;
+}
@@ -0,0 +1,284 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Pattern for the relative date expression anchor.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const ANCHOR_PATTERN = /^(now|startOf(Hour|Day|Week|Month|Year))/;
+
+/**
+ * Pattern for a single offset in the relative date expression, either a
+ * number with a unit or an ISO 8601 duration.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const OFFSET_PATTERN = new RegExp(
+	'^([+-])(?:(\\d+)([smhdwMy])|P(?:(\\d+)Y)?(?:(\\d+)M)?(?:(\\d+)W)?' +
+		'(?:(\\d+)D)?(?:T(?:(\\d+)H)?(?:(\\d+)M)?(?:(\\d+(?:\\.\\d+)?)S)?)?)');
+
+/**
+ * Offset units mapping to the offset descriptor fields.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const UNITS = {
+	's': 'seconds',
+	'm': 'minutes',
+	'h': 'hours',
+	'd': 'days',
+	'w': 'weeks',
+	'M': 'months',
+	'y': 'years'
+};
+
+/**
+ * Date formatters by time zone names.
+ *
+ * @private
+ * @type {Map.<string,Intl.DateTimeFormat>}
+ */
+const FORMATTERS = new Map();
+
+/**
+ * Get date formatter for the time zone.
+ *
+ * @private
+ * @param {string} timeZone IANA time zone name.
+ * @returns {Intl.DateTimeFormat} The formatter.
+ * @throws {RangeError} If the time zone is invalid.
+ */
+function getFormatter(timeZone) {
+
+	let formatter = FORMATTERS.get(timeZone);
+	if (!formatter) {
+		formatter = new Intl.DateTimeFormat('en-US', {
+			timeZone: timeZone,
+			hour12: false,
+			year: 'numeric',
+			month: 'numeric',
+			day: 'numeric',
+			hour: 'numeric',
+			minute: 'numeric',
+			second: 'numeric'
+		});
+		FORMATTERS.set(timeZone, formatter);
+	}
+
+	return formatter;
+}
+
+/**
+ * Wall clock date and time fields in a time zone.
+ *
+ * @private
+ * @typedef {Object} module:x2node-ws-resources~ZonedFields
+ * @property {number} year Year.
+ * @property {number} month Month, zero-based.
+ * @property {number} day Day of month.
+ * @property {number} hour Hour.
+ * @property {number} minute Minute.
+ * @property {number} second Second.
+ * @property {number} millisecond Millisecond.
+ */
+
+/**
+ * Get wall clock fields for the time in the time zone.
+ *
+ * @private
+ * @param {number} time The time in milliseconds since the epoch.
+ * @param {string} timeZone IANA time zone name.
+ * @returns {module:x2node-ws-resources~ZonedFields} The fields.
+ */
+function getZonedFields(time, timeZone) {
+
+	const fields = {
+		millisecond: ((time % 1000) + 1000) % 1000
+	};
+	for (let part of getFormatter(timeZone).formatToParts(new Date(time))) {
+		switch (part.type) {
+		case 'year':
+		case 'day':
+		case 'minute':
+		case 'second':
+			fields[part.type] = Number(part.value);
+			break;
+		case 'month':
+			fields.month = Number(part.value) - 1;
+			break;
+		case 'hour':
+			fields.hour = Number(part.value) % 24;
+		}
+	}
+
+	return fields;
+}
+
+/**
+ * Get time for the wall clock fields in the time zone. The fields may be out
+ * of their normal ranges, in which case they are normalized the same way as
+ * <code>Date.UTC()</code> does.
+ *
+ * @private
+ * @param {module:x2node-ws-resources~ZonedFields} fields The fields.
+ * @param {string} timeZone IANA time zone name.
+ * @returns {number} The time in milliseconds since the epoch.
+ */
+function getZonedTime(fields, timeZone) {
+
+	const wallTime = Date.UTC(
+		fields.year, fields.month, fields.day,
+		fields.hour, fields.minute, fields.second, fields.millisecond);
+
+	// find the zone offset at the wall time, adjust if crossed a transition
+	const getOffset = time => {
+		const f = getZonedFields(time, timeZone);
+		return Date.UTC(
+			f.year, f.month, f.day, f.hour, f.minute, f.second,
+			f.millisecond) - time;
+	};
+	let time = wallTime - getOffset(wallTime);
+	const offset = getOffset(time);
+	if (wallTime - offset !== time)
+		time = wallTime - offset;
+
+	return time;
+}
+
+/**
+ * Make sure that the time zone is supported.
+ *
+ * @param {string} timeZone IANA time zone name.
+ * @throws {module:x2node-common.X2UsageError} If the time zone is invalid or
+ * not supported by the runtime.
+ */
+exports.checkTimeZone = function(timeZone) {
+
+	try {
+		getFormatter(timeZone);
+	} catch (err) {
+		throw new common.X2UsageError(
+			`Invalid or unsupported time zone "${timeZone}".`);
+	}
+};
+
+/**
+ * Tell if the value looks like a relative date expression rather than an
+ * absolute datetime.
+ *
+ * @param {string} val The value.
+ * @returns {boolean} <code>true</code> if relative date expression.
+ */
+exports.isRelativeDate = function(val) {
+
+	return (ANCHOR_PATTERN.test(val) || /^[+-]?P/.test(val));
+};
+
+/**
+ * Resolve relative date expression. The expression starts with an anchor,
+ * which is one of "now", "startOfHour", "startOfDay", "startOfWeek" (Monday),
+ * "startOfMonth" and "startOfYear", followed by zero or more offsets. Each
+ * offset is a sign followed by either a number with a unit ("s", "m", "h",
+ * "d", "w", "M" or "y") or an ISO 8601 duration. If the anchor is omitted,
+ * "now" is assumed, in which case the expression must be a single ISO 8601
+ * duration with an optional sign.
+ *
+ * @param {string} expr The expression.
+ * @param {number} now Current time in milliseconds since the epoch.
+ * @param {string} timeZone IANA time zone name used for the anchors and the
+ * calendar offsets.
+ * @returns {Date} The resolved date.
+ * @throws {module:x2node-common.X2SyntaxError} If the expression is invalid.
+ */
+exports.resolveRelativeDate = function(expr, now, timeZone) {
+
+	const invalid = () => new common.X2SyntaxError(
+		`Invalid relative date expression "${expr}".`);
+
+	// parse the anchor
+	let anchor, rest;
+	const anchorMatch = ANCHOR_PATTERN.exec(expr);
+	if (anchorMatch) {
+		anchor = anchorMatch[1];
+		rest = expr.substring(anchor.length);
+	} else {
+		anchor = 'now';
+		rest = (/^[+-]/.test(expr) ? expr : '+' + expr);
+	}
+
+	// parse the offsets
+	const offset = {
+		years: 0, months: 0, weeks: 0, days: 0,
+		hours: 0, minutes: 0, seconds: 0
+	};
+	while (rest.length > 0) {
+		const m = OFFSET_PATTERN.exec(rest);
+		if (!m || /[PT]$/.test(m[0]))
+			throw invalid();
+		const sign = (m[1] === '-' ? -1 : 1);
+		if (m[2] !== undefined) {
+			offset[UNITS[m[3]]] += sign * Number(m[2]);
+		} else {
+			[ 'years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds' ]
+				.forEach((field, i) => {
+					if (m[4 + i] !== undefined)
+						offset[field] += sign * Number(m[4 + i]);
+				});
+		}
+		rest = rest.substring(m[0].length);
+	}
+
+	// time offsets only from now, no need to go through the wall clock
+	const timeOffset = (
+		(offset.hours * 60 + offset.minutes) * 60 + offset.seconds) * 1000;
+	if ((anchor === 'now') &&
+		!offset.years && !offset.months && !offset.weeks && !offset.days)
+		return new Date(now + timeOffset);
+
+	// get the anchor wall clock fields
+	const fields = getZonedFields(now, timeZone);
+	switch (anchor) {
+	case 'startOfYear':
+		fields.month = 0;
+		// fall through
+	case 'startOfMonth':
+		fields.day = 1;
+		// fall through
+	case 'startOfDay':
+		fields.hour = 0;
+		// fall through
+	case 'startOfHour':
+		fields.minute = 0;
+		fields.second = 0;
+		fields.millisecond = 0;
+		break;
+	case 'startOfWeek':
+		fields.day -= (
+			new Date(Date.UTC(fields.year, fields.month, fields.day))
+				.getUTCDay() + 6) % 7;
+		fields.hour = 0;
+		fields.minute = 0;
+		fields.second = 0;
+		fields.millisecond = 0;
+	}
+
+	// apply the calendar offsets to the wall clock
+	if (offset.years || offset.months) {
+		const months = fields.month + offset.years * 12 + offset.months;
+		fields.year += Math.floor(months / 12);
+		fields.month = ((months % 12) + 12) % 12;
+		fields.day = Math.min(
+			fields.day,
+			new Date(Date.UTC(fields.year, fields.month + 1, 0)).getUTCDate());
+	}
+	fields.day += offset.weeks * 7 + offset.days;
+
+	// apply the time offsets to the resulting time
+	return new Date(getZonedTime(fields, timeZone) + timeOffset);
+};
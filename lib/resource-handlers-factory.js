@@ -1,9 +1,43 @@
 'use strict';
 
+const common = require('x2node-common');
+
 const CollectionResourceHandler = require('./collection-resource-handler.js');
 const IndividualResourceHandler = require('./individual-resource-handler.js');
+const openAPIBuilder = require('./openapi-builder.js');
 
 
+/**
+ * Escape regular expression special characters in a string.
+ *
+ * @private
+ * @param {string} str The string.
+ * @returns {string} The string safe to include in a regular expression.
+ */
+function escapeRegExp(str) {
+
+	return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get URI parameter pattern for the record id of the specified record type.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @returns {string} Regular expression pattern with a single capturing group
+ * for the record id.
+ */
+function idParamPattern(recordTypeDesc) {
+
+	const idPropDesc = recordTypeDesc.getPropertyDesc(
+		recordTypeDesc.idPropertyName);
+
+	return (
+		idPropDesc.scalarValueType === 'number' ?
+			'([1-9][0-9]*)' : '([^/]+)');
+}
+
 /**
  * Resource handlers factory.
  *
@@ -28,6 +62,9 @@ class ResourceHandlersFactory {
 		this._ds = ds;
 		this._dboFactory = dboFactory;
 		this._defaultOptions = defaultOptions;
+
+		this._handlers = new Array();
+		this._uriPatterns = new Map();
 	}
 
 	/**
@@ -58,6 +95,127 @@ class ResourceHandlersFactory {
 			IndividualResourceHandler, rsrcPath, handlerExt);
 	}
 
+	/**
+	 * Complete resource descriptor returned by the factory's
+	 * [resource()]{@link module:x2node-ws-resources~ResourceHandlersFactory#resource}
+	 * method.
+	 *
+	 * @typedef {Object} module:x2node-ws-resources~ResourceHandlersFactory~Resource
+	 * @property {string} collectionUriPattern URI pattern for the collection
+	 * resource endpoint.
+	 * @property {module:x2node-ws-resources.CollectionResourceHandler} collectionHandler
+	 * The collection resource handler.
+	 * @property {string} individualUriPattern URI pattern for the individual
+	 * resource endpoint.
+	 * @property {module:x2node-ws-resources.IndividualResourceHandler} individualHandler
+	 * The individual resource handler.
+	 */
+
+	/**
+	 * Create both collection and individual resource handlers for the resource
+	 * path and generate the endpoint URI patterns for them.
+	 *
+	 * <p>The last segments of the base URI, one for each element of the
+	 * resource path, are the collection names. The URI pattern for each
+	 * uplink record id is inserted after the corresponding segment and the
+	 * pattern for the addressed record id is appended to the collection URI to
+	 * form the individual resource URI. For example, base URI
+	 * "/accounts/orders" with resource path "accountRef&lt;-Order" gives
+	 * "/accounts/([1-9][0-9]*)/orders" and
+	 * "/accounts/([1-9][0-9]*)/orders/([1-9][0-9]*)" if both record types have
+	 * numeric ids.
+	 *
+	 * @param {string} rsrcPath Resource path.
+	 * @param {string} baseUri Base URI.
+	 * @param {Object} [collectionHandlerExt] Collection resource handler
+	 * extension.
+	 * @param {Object} [individualHandlerExt] Individual resource handler
+	 * extension.
+	 * @returns {module:x2node-ws-resources~ResourceHandlersFactory~Resource} The
+	 * resource descriptor.
+	 * @throws {module:x2node-common.X2UsageError} If the base URI does not
+	 * match the resource path.
+	 */
+	resource(rsrcPath, baseUri, collectionHandlerExt, individualHandlerExt) {
+
+		// create the handlers
+		const collectionHandler = this.collectionResource(
+			rsrcPath, collectionHandlerExt);
+		const individualHandler = this.individualResource(
+			rsrcPath, individualHandlerExt);
+
+		// get the uplinks that map to URI parameters, top record type first
+		const uplinks = collectionHandler._uplinkChain.filter(
+			uplink => (uplink.uriParamOffset !== null)).reverse();
+
+		// split the base URI into segments
+		const segments = baseUri.split('/');
+		const numPrefixSegments = segments.length - uplinks.length - 1;
+		if ((numPrefixSegments < 0) ||
+			segments.slice(numPrefixSegments).some(s => (s.length === 0)))
+			throw new common.X2UsageError(
+				`Base URI ${baseUri} does not have enough segments for` +
+					` resource path ${rsrcPath}.`);
+
+		// build the collection URI pattern
+		let collectionUriPattern = segments.slice(0, numPrefixSegments).map(
+			s => escapeRegExp(s)).join('/');
+		uplinks.forEach((uplink, i) => {
+			collectionUriPattern +=
+				'/' + escapeRegExp(segments[numPrefixSegments + i]) +
+				'/' + idParamPattern(uplink.recordTypeDesc);
+		});
+		collectionUriPattern +=
+			'/' + escapeRegExp(segments[segments.length - 1]);
+
+		const individualUriPattern = collectionUriPattern +
+			'/' + idParamPattern(collectionHandler._recordTypeDesc);
+
+		// remember the URI patterns for the API documentation
+		this._uriPatterns.set(collectionHandler, collectionUriPattern);
+		this._uriPatterns.set(individualHandler, individualUriPattern);
+
+		// return the resource descriptor
+		return {
+			collectionUriPattern: collectionUriPattern,
+			collectionHandler: collectionHandler,
+			individualUriPattern: individualUriPattern,
+			individualHandler: individualHandler
+		};
+	}
+
+	/**
+	 * Build OpenAPI 3 document describing all handlers created by this factory.
+	 * The endpoint URI patterns are known to the factory for the handlers
+	 * created with the
+	 * [resource()]{@link module:x2node-ws-resources~ResourceHandlersFactory#resource}
+	 * method. For other handlers the URI patterns must be provided in the
+	 * <code>uriPatterns</code> argument, otherwise the handlers are not included
+	 * in the document.
+	 *
+	 * @param {Object} info The OpenAPI "info" object for the document (must
+	 * have at least <code>title</code> and <code>version</code>).
+	 * @param {Map.<module:x2node-ws.Handler,string>} [uriPatterns] Endpoint URI
+	 * patterns for the handlers.
+	 * @returns {Object} The OpenAPI document.
+	 */
+	buildOpenAPIDocument(info, uriPatterns) {
+
+		const endpoints = new Array();
+		for (let handler of this._handlers) {
+			const uriPattern = (
+				(uriPatterns && uriPatterns.get(handler)) ||
+					this._uriPatterns.get(handler));
+			if (uriPattern)
+				endpoints.push({
+					uriPattern: uriPattern,
+					handler: handler
+				});
+		}
+
+		return openAPIBuilder.buildOpenAPIDocument(info, endpoints);
+	}
+
 	/**
 	 * Create handler.
 	 *
@@ -88,6 +246,9 @@ class ResourceHandlersFactory {
 		if ((typeof handler.configure) === 'function')
 			handler.configure();
 
+		// register it
+		this._handlers.push(handler);
+
 		// return it
 		return handler;
 	}
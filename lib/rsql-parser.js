@@ -0,0 +1,429 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Pattern for unquoted selectors and arguments. Excludes the characters
+ * reserved by the RSQL syntax.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const UNRESERVED_PATTERN = /^[^\s"'();,=!~<>]+/;
+
+/**
+ * Pattern for comparison operators.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const OPERATOR_PATTERN = /^(==|!=|<=|>=|<|>|=([a-z]+!?)=)/;
+
+/**
+ * Maximum nesting depth of the parenthesized groups and "=any=" nested
+ * expressions, as well as of the JSON filter tree elements. Protects the
+ * recursive parser from running out of stack on malicious input. The
+ * configurable query complexity limits are checked after the expression is
+ * parsed.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_NESTING_DEPTH = 100;
+
+/**
+ * Comparison operator names for the symbolic operators.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const SYMBOLIC_OPERATORS = {
+	'==': 'eq',
+	'!=': 'ne',
+	'<': 'lt',
+	'<=': 'le',
+	'>': 'gt',
+	'>=': 'ge'
+};
+
+/**
+ * RSQL expression node. A node is either a logical junction or a comparison.
+ *
+ * @protected
+ * @typedef {Object} module:x2node-ws-resources~RSQLNode
+ * @property {string} [junction] For a logical junction, either "and" or "or".
+ * @property {Array.<module:x2node-ws-resources~RSQLNode>} [members] For a
+ * logical junction, the junction members.
+ * @property {string} [selector] For a comparison, the selector.
+ * @property {string} [op] For a comparison, the operator name. The symbolic
+ * operators are converted to names "eq", "ne", "lt", "le", "gt" and "ge". For
+ * the "=name=" operators, it is the name.
+ * @property {Array.<string>} [args] For a comparison other than "=any=", the
+ * arguments.
+ * @property {boolean} [list] For a comparison other than "=any=",
+ * <code>true</code> if the arguments were provided as a parenthesized list.
+ * @property {module:x2node-ws-resources~RSQLNode} [nested] For an "=any="
+ * comparison, the nested expression.
+ */
+
+/**
+ * RSQL expression parser.
+ *
+ * @private
+ */
+class RSQLParser {
+
+	/**
+	 * Create new parser.
+	 *
+	 * @param {string} expr The expression to parse.
+	 */
+	constructor(expr) {
+
+		this._expr = expr;
+		this._pos = 0;
+		this._depth = 0;
+	}
+
+	/**
+	 * Parse the whole expression.
+	 *
+	 * @returns {module:x2node-ws-resources~RSQLNode} The root node.
+	 * @throws {module:x2node-common.X2SyntaxError} If the expression is
+	 * invalid.
+	 */
+	parse() {
+
+		const node = this._parseOr();
+		if (this._peek() !== undefined)
+			throw this._error('unexpected character.');
+
+		return node;
+	}
+
+	/**
+	 * Parse logical disjunction.
+	 *
+	 * @private
+	 * @returns {module:x2node-ws-resources~RSQLNode} The node.
+	 */
+	_parseOr() {
+
+		const members = [ this._parseAnd() ];
+		while (this._peek() === ',') {
+			this._pos++;
+			members.push(this._parseAnd());
+		}
+
+		return (
+			members.length > 1 ? { junction: 'or', members: members } :
+				members[0]);
+	}
+
+	/**
+	 * Parse logical conjunction.
+	 *
+	 * @private
+	 * @returns {module:x2node-ws-resources~RSQLNode} The node.
+	 */
+	_parseAnd() {
+
+		const members = [ this._parseConstraint() ];
+		while (this._peek() === ';') {
+			this._pos++;
+			members.push(this._parseConstraint());
+		}
+
+		return (
+			members.length > 1 ? { junction: 'and', members: members } :
+				members[0]);
+	}
+
+	/**
+	 * Parse either parenthesized group or comparison.
+	 *
+	 * @private
+	 * @returns {module:x2node-ws-resources~RSQLNode} The node.
+	 */
+	_parseConstraint() {
+
+		if (this._peek() === '(') {
+			this._pos++;
+			this._enterNested();
+			const node = this._parseOr();
+			this._expect(')');
+			this._depth--;
+			return node;
+		}
+
+		return this._parseComparison();
+	}
+
+	/**
+	 * Parse comparison.
+	 *
+	 * @private
+	 * @returns {module:x2node-ws-resources~RSQLNode} The node.
+	 */
+	_parseComparison() {
+
+		// selector
+		const selector = this._parseUnreserved('selector');
+
+		// operator
+		const m = OPERATOR_PATTERN.exec(this._expr.substring(this._pos));
+		if (!m)
+			throw this._error('expected comparison operator.');
+		this._pos += m[0].length;
+		const op = (m[2] || SYMBOLIC_OPERATORS[m[1]]);
+
+		// nested expression for the collection elements
+		if (op === 'any') {
+			this._expect('(');
+			this._enterNested();
+			const nested = this._parseOr();
+			this._expect(')');
+			this._depth--;
+			return {
+				selector: selector,
+				op: op,
+				nested: nested
+			};
+		}
+
+		// arguments
+		const args = new Array();
+		const list = (this._peek() === '(');
+		if (list) {
+			this._pos++;
+			args.push(this._parseArgument());
+			while (this._peek() === ',') {
+				this._pos++;
+				args.push(this._parseArgument());
+			}
+			this._expect(')');
+		} else {
+			args.push(this._parseArgument());
+		}
+
+		return {
+			selector: selector,
+			op: op,
+			args: args,
+			list: list
+		};
+	}
+
+	/**
+	 * Parse single argument, either quoted or unquoted.
+	 *
+	 * @private
+	 * @returns {string} The argument value.
+	 */
+	_parseArgument() {
+
+		const quote = this._peek();
+		if ((quote !== '"') && (quote !== '\''))
+			return this._parseUnreserved('argument');
+
+		let val = '';
+		for (let i = this._pos + 1, len = this._expr.length; i < len; i++) {
+			let c = this._expr[i];
+			if (c === quote) {
+				this._pos = i + 1;
+				return val;
+			}
+			if ((c === '\\') && (i < len - 1))
+				c = this._expr[++i];
+			val += c;
+		}
+
+		throw this._error('unterminated quoted argument.');
+	}
+
+	/**
+	 * Parse unquoted selector or argument.
+	 *
+	 * @private
+	 * @param {string} what What is expected, for the error message.
+	 * @returns {string} The value.
+	 */
+	_parseUnreserved(what) {
+
+		this._peek();
+		const m = UNRESERVED_PATTERN.exec(this._expr.substring(this._pos));
+		if (!m)
+			throw this._error(`expected ${what}.`);
+		this._pos += m[0].length;
+
+		return m[0];
+	}
+
+	/**
+	 * Increase the nesting depth and make sure it does not exceed the maximum.
+	 *
+	 * @private
+	 */
+	_enterNested() {
+
+		if (++this._depth > MAX_NESTING_DEPTH)
+			throw this._error(
+				`nesting is deeper than ${MAX_NESTING_DEPTH} levels.`);
+	}
+
+	/**
+	 * Skip whitespace and get next character without consuming it.
+	 *
+	 * @private
+	 * @returns {string} Next character, or <code>undefined</code> if end of
+	 * the expression.
+	 */
+	_peek() {
+
+		while (/\s/.test(this._expr[this._pos] || ''))
+			this._pos++;
+
+		return this._expr[this._pos];
+	}
+
+	/**
+	 * Consume expected character.
+	 *
+	 * @private
+	 * @param {string} c The expected character.
+	 */
+	_expect(c) {
+
+		if (this._peek() !== c)
+			throw this._error(`expected "${c}".`);
+		this._pos++;
+	}
+
+	/**
+	 * Create syntax error for the current position.
+	 *
+	 * @private
+	 * @param {string} msg Error description.
+	 * @returns {module:x2node-common.X2SyntaxError} The error to throw.
+	 */
+	_error(msg) {
+
+		return new common.X2SyntaxError(
+			`Invalid filter expression at position ${this._pos}: ${msg}`);
+	}
+}
+
+/**
+ * Convert filter tree element to RSQL expression node.
+ *
+ * @private
+ * @param {*} element The filter tree element.
+ * @param {string} path Path of the element in the tree for error messages.
+ * @param {number} depth Nesting depth of the element, zero for the root.
+ * @returns {module:x2node-ws-resources~RSQLNode} The node.
+ * @throws {module:x2node-common.X2SyntaxError} If the element is invalid.
+ */
+function convertFilterTree(element, path, depth) {
+
+	const error = msg => new common.X2SyntaxError(
+		`Invalid filter tree element ${path}: ${msg}`);
+
+	// protect against too deeply nested trees
+	if (depth > MAX_NESTING_DEPTH)
+		throw error(`nesting is deeper than ${MAX_NESTING_DEPTH} levels.`);
+
+	// array is a shortcut for logical conjunction
+	if (Array.isArray(element))
+		element = { and: element };
+	if ((element === null) || ((typeof element) !== 'object'))
+		throw error('expected an object.');
+
+	// logical junction
+	const junction = (
+		element.and !== undefined ? 'and' :
+			element.or !== undefined ? 'or' : undefined);
+	if (junction) {
+		const members = element[junction];
+		if (!Array.isArray(members) || (members.length === 0) ||
+			(Object.keys(element).length !== 1))
+			throw error(
+				`expected non-empty array of nested elements as the only` +
+					` "${junction}" property.`);
+		if (members.length === 1)
+			return convertFilterTree(
+				members[0], `${path}.${junction}[0]`, depth + 1);
+		return {
+			junction: junction,
+			members: members.map((member, i) => convertFilterTree(
+				member, `${path}.${junction}[${i}]`, depth + 1))
+		};
+	}
+
+	// comparison
+	if (((typeof element.prop) !== 'string') || (element.prop.length === 0))
+		throw error('expected "prop" string property.');
+	const op = (element.op === undefined ? 'eq' : element.op);
+	if ((typeof op) !== 'string')
+		throw error('expected "op" string property.');
+	if (op === 'any') {
+		if (element.filter === undefined)
+			throw error('operator "any" requires "filter" property.');
+		return {
+			selector: element.prop,
+			op: op,
+			nested: convertFilterTree(
+				element.filter, `${path}.filter`, depth + 1)
+		};
+	}
+	const list = Array.isArray(element.value);
+	return {
+		selector: element.prop,
+		op: op,
+		args: (list ? element.value : [ element.value ]).map(v => {
+			if ((v === null) || (v === undefined) || ((typeof v) === 'object'))
+				throw error(
+					'expected "value" property to be a string, a number,' +
+						' a boolean or an array of those.');
+			return String(v);
+		}),
+		list: list
+	};
+}
+
+/**
+ * Convert filter tree from a JSON search query document to RSQL expression
+ * tree. A filter tree element is either a logical junction object with a
+ * single "and" or "or" property that contains an array of nested elements, or
+ * a comparison object with "prop" (the RSQL selector), "op" (the RSQL operator
+ * name, "eq" by default) and "value" (single value or array of values)
+ * properties. The "any" comparison has "filter" property with the nested
+ * filter tree instead of the "value". An array of elements is a shortcut for
+ * the "and" junction.
+ *
+ * @param {*} tree The filter tree.
+ * @returns {module:x2node-ws-resources~RSQLNode} The expression tree.
+ * @throws {module:x2node-common.X2SyntaxError} If the filter tree is invalid.
+ */
+exports.parseFilterTree = function(tree) {
+
+	return convertFilterTree(tree, 'filter', 0);
+};
+
+/**
+ * Parse filter expression in RSQL syntax. Comparisons are combined with ";"
+ * (logical "and") and "," (logical "or"), which has lower precedence, and can
+ * be grouped with parenthesis. Comparison operators are "==", "!=", "<", "<=",
+ * ">", ">=" and "=name=" operators. Arguments containing reserved characters
+ * must be quoted with single or double quotes. Argument lists are enclosed in
+ * parenthesis. The argument of the "=any=" operator is a parenthesized nested
+ * expression.
+ *
+ * @param {string} expr The expression.
+ * @returns {module:x2node-ws-resources~RSQLNode} The expression tree.
+ * @throws {module:x2node-common.X2SyntaxError} If the expression is invalid.
+ */
+exports.parseRSQL = function(expr) {
+
+	return (new RSQLParser(expr)).parse();
+};
@@ -3,6 +3,17 @@
 const common = require('x2node-common');
 const dbos = require('x2node-dbos');
 
+const relativeDates = require('./relative-dates.js');
+const rsqlParser = require('./rsql-parser.js');
+
+
+/**
+ * Value transformations supported in the property reference expressions.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const TRANSFORMATIONS = [ 'len', 'lc', 'uc', 'sub', 'lpad' ];
 
 /**
  * Order end operations mapping for the "o" query parameter.
@@ -16,6 +27,14 @@ const ORDER_OPS_MAPPING = {
 	'desc': 'desc'
 };
 
+/**
+ * Order element modifiers for the "o" query parameter.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const ORDER_MODIFIERS = new Set([ 'ci', 'nullsfirst', 'nullslast' ]);
+
 /**
  * Filter end operations mapping for the "f$" query parameters.
  *
@@ -33,21 +52,245 @@ const FILTER_OPS_MAPPING = {
 	'$default:collection:value!': 'empty',
 	'min': 'ge',
 	'max': 'le',
+	'eqi': 'eq',
 	'pat': 'matchesi',
 	'mid': 'containsi',
 	'pre': 'startsi',
+	'patcs': 'matches',
+	'midcs': 'contains',
+	'precs': 'starts',
 	'alt': 'in',
+	'rng': 'between',
+	'rngx': 'between',
 	'count': 'count',
 	'min!': 'lt',
 	'max!': 'gt',
+	'eqi!': 'ne',
 	'pat!': '!matchesi',
 	'mid!': '!containsi',
 	'pre!': '!startsi',
+	'patcs!': '!matches',
+	'midcs!': '!contains',
+	'precs!': '!starts',
 	'alt!': '!in',
+	'rng!': '!between',
+	'rngx!': '!between',
 	'count!': '!count'
 };
 
 
+/**
+ * Error thrown by the search query parser when the query exceeds the
+ * configured complexity limits.
+ *
+ * @memberof module:x2node-ws-resources
+ * @extends module:x2node-common.X2SyntaxError
+ */
+class QueryLimitError extends common.X2SyntaxError {
+
+	/**
+	 * Create new error to throw.
+	 *
+	 * @param {string} message The error description.
+	 */
+	constructor(message) {
+		super(message);
+
+		this.name = 'QueryLimitError';
+	}
+}
+
+/**
+ * Error thrown by the search query parser when the query is invalid. In
+ * addition to the message, the error carries machine-readable details about
+ * the invalid input.
+ *
+ * @memberof module:x2node-ws-resources
+ * @extends module:x2node-common.X2SyntaxError
+ */
+class QuerySyntaxError extends common.X2SyntaxError {
+
+	/**
+	 * Create new error to throw.
+	 *
+	 * @param {string} message The error description.
+	 * @param {string} kind The error kind. One of "syntax", "unknownProperty",
+	 * "invalidProperty", "unknownTransformation", "unknownOperation",
+	 * "invalidArgument", "invalidValue", "unknownPreset", "notAllowed" and
+	 * "unsupported".
+	 * @param {Object} [details] Additional details.
+	 * @param {string} [details.param] Name of the URL query parameter that
+	 * contains the invalid input.
+	 * @param {(string|Array.<string>)} [details.value] Value of the URL query
+	 * parameter.
+	 * @param {string} [details.segment] The failing segment of the parameter
+	 * value, such as the property name or the operation.
+	 * @param {Array.<string>} [details.allowed] The allowed alternatives for
+	 * the failing segment, such as the allowed operations or properties.
+	 */
+	constructor(message, kind, details) {
+		super(message);
+
+		this.name = 'QuerySyntaxError';
+
+		/**
+		 * Name of the URL query parameter that contains the invalid input, if
+		 * known.
+		 *
+		 * @member {string} [param]
+		 */
+		this.param = (details && details.param);
+
+		/**
+		 * Value of the URL query parameter that contains the invalid input, if
+		 * known.
+		 *
+		 * @member {(string|Array.<string>)} [value]
+		 */
+		this.value = (details && details.value);
+
+		/**
+		 * The failing segment of the parameter value, if known.
+		 *
+		 * @member {string} [segment]
+		 */
+		this.segment = (details && details.segment);
+
+		/**
+		 * The error kind.
+		 *
+		 * @member {string}
+		 */
+		this.kind = kind;
+
+		/**
+		 * The allowed alternatives for the failing segment, if known.
+		 *
+		 * @member {Array.<string>} [allowed]
+		 */
+		this.allowed = (details && details.allowed);
+	}
+
+	/**
+	 * Machine-readable error descriptor with the error details.
+	 *
+	 * @member {module:x2node-ws-resources~QueryErrorDescriptor}
+	 * @readonly
+	 */
+	get queryError() {
+
+		const queryError = new Object();
+		[ 'param', 'value', 'segment', 'kind', 'allowed' ].forEach(field => {
+			if (this[field] !== undefined)
+				queryError[field] = this[field];
+		});
+
+		return queryError;
+	}
+}
+
+/**
+ * Machine-readable descriptor of an invalid search query error.
+ *
+ * @protected
+ * @typedef {Object} module:x2node-ws-resources~QueryErrorDescriptor
+ * @property {string} [param] Name of the URL query parameter.
+ * @property {(string|Array.<string>)} [value] Value of the URL query
+ * parameter.
+ * @property {string} [segment] The failing segment of the parameter value.
+ * @property {string} kind The error kind.
+ * @property {Array.<string>} [allowed] The allowed alternatives for the
+ * failing segment.
+ */
+
+/**
+ * Convert syntax error thrown while parsing a URL query parameter to a query
+ * syntax error associated with the parameter. Errors that are already
+ * associated with a parameter, for example a nested filter group parameter,
+ * are left as is. Errors other than the syntax errors and the complexity limit
+ * errors are returned unchanged.
+ *
+ * @private
+ * @param {Error} err The error.
+ * @param {string} paramName The URL query parameter name.
+ * @param {(string|Array.<string>)} [value] The URL query parameter value.
+ * @returns {Error} The error to throw.
+ */
+function toQuerySyntaxError(err, paramName, value) {
+
+	if (!(err instanceof common.X2SyntaxError) ||
+		(err instanceof QueryLimitError))
+		return err;
+
+	const queryErr = (
+		err instanceof QuerySyntaxError ?
+			err : new QuerySyntaxError(err.message, 'syntax'));
+	if (queryErr.param === undefined) {
+		queryErr.param = paramName;
+		queryErr.value = value;
+	}
+
+	return queryErr;
+}
+
+/**
+ * Call the function that parses a URL query parameter and associate any syntax
+ * error it throws with the parameter.
+ *
+ * @private
+ * @param {string} paramName The URL query parameter name.
+ * @param {(string|Array.<string>)} value The URL query parameter value.
+ * @param {function} parse The parsing function.
+ * @returns {*} The parsing function result.
+ * @throws {module:x2node-ws-resources.QuerySyntaxError} If the parameter is
+ * invalid.
+ */
+function parseParam(paramName, value, parse) {
+
+	try {
+		return parse();
+	} catch (err) {
+		throw toQuerySyntaxError(err, paramName, value);
+	}
+}
+
+/**
+ * Search query complexity limits. Any limit that is not specified is not
+ * enforced.
+ *
+ * @protected
+ * @typedef {Object} module:x2node-ws-resources~QueryLimits
+ * @property {number} [maxGroupDepth] Maximum nesting depth of the logical
+ * junction filter groups.
+ * @property {number} [maxPredicates] Maximum total number of filter tests,
+ * including the tests in all nested groups and the free-text search tests.
+ * @property {number} [maxAltValues] Maximum number of values in an "alt"
+ * test.
+ * @property {number} [maxCollectionDepth] Maximum nesting depth of the
+ * collection test sub-filters.
+ * @property {number} [maxPatternLength] Maximum length of the regular
+ * expression in a "pat" test and of a free-text search term.
+ */
+
+/**
+ * Make sure the query complexity value does not exceed the limit.
+ *
+ * @private
+ * @param {Object} parseCtx Filter parsing context.
+ * @param {string} limitName Name of the limit in the limits object.
+ * @param {number} value The query complexity value.
+ * @param {string} what Description of the value for the error message.
+ * @throws {module:x2node-ws-resources.QueryLimitError} If the value exceeds
+ * the limit.
+ */
+function checkLimit(parseCtx, limitName, value, what) {
+
+	const limit = (parseCtx.limits && parseCtx.limits[limitName]);
+	if (((typeof limit) === 'number') && (value > limit))
+		throw new QueryLimitError(
+			`Query exceeds the maximum ${what} of ${limit}.`);
+}
+
 /**
  * Parse URL query parameters used for collection search requests into a fetch
  * DBO query specification.
@@ -57,48 +300,1202 @@ const FILTER_OPS_MAPPING = {
  * of the record type being queried.
  * @param {Object} urlQuery URL query parameters.
  * @param {string} queryParts Query parts to include in parsing. A line of
- * characters including "p", "f", "o" and "r".
+ * characters including "p", "f", "q", "o", "r" and "c". The "f" part includes
+ * both the "f$" parameters and the "filter" parameter in RSQL syntax.
  * @param {Object.<string,*>} queryParams Fetch query parameters to populate.
+ * @param {Object} [options] Parsing options.
+ * @param {Array.<number>} [options.defaultRange] Range specification to use if
+ * range is included in the query parts, but the URL query parameters do not
+ * have it.
+ * @param {module:x2node-ws-resources~SearchWhitelist} [options.whitelist]
+ * Property paths allowed in the query.
+ * @param {Array.<string>} [options.textSearch] Filter test specifications
+ * used for the free-text search as returned by
+ * [parseTextSearchProps()]{@link module:x2node-ws-resources.parseTextSearchProps}.
+ * If not provided, the free-text search is not allowed.
+ * @param {Map.<string,module:x2node-ws-resources~SearchPreset>} [options.presets]
+ * Named query presets that can be selected with the "preset" URL query
+ * parameter. If not provided, presets are not allowed.
+ * @param {module:x2node-ws-resources~QueryLimits} [options.limits] Filter
+ * complexity limits.
+ * @param {function} [options.clock] Function that returns the current time as
+ * a <code>Date</code> or milliseconds since the epoch, used to resolve relative
+ * date expressions in the filter values. If not provided, the system clock is
+ * used.
+ * @param {string} [options.timeZone] IANA name of the time zone used to resolve
+ * relative date expressions in the filter values. The default is "UTC".
+ * @param {module:x2node-ws-resources~RSQLNode} [options.rsqlFilter] Parsed
+ * RSQL filter used instead of the "filter" URL query parameter.
  * @returns {Object} Fetch DBO query specification, or <code>null</code> if
- * invalid URL query parameters.
- * @throws {common.X2SyntaxError} If query parameters are invalid.
+ * invalid URL query parameters. If cursor pagination is requested, the
+ * specification includes <code>cursor</code> property with the cursor
+ * descriptor used to complete the result page.
+ * @throws {module:x2node-ws-resources.QuerySyntaxError} If query parameters
+ * are invalid or use properties not allowed by the whitelist. The error
+ * includes the details about the invalid parameter.
+ * @throws {module:x2node-ws-resources.QueryLimitError} If the filter exceeds
+ * the complexity limits.
  */
-function parseSearchQuery(recordTypeDesc, urlQuery, queryParts, queryParams) {
+function parseSearchQuery(
+	recordTypeDesc, urlQuery, queryParts, queryParams, options) {
+
+	// parsing options
+	const defaultRange = (options && options.defaultRange);
+	const whitelist = (options && options.whitelist);
+	const textSearch = (options && options.textSearch);
+
+	// get selected preset
+	const preset = parseParam(
+		'preset', urlQuery.preset,
+		() => getPreset(options && options.presets, urlQuery));
 
 	// query spec object to build
 	const querySpec = new Object();
 
 	// parse properties spec
-	if ((queryParts.indexOf('p') >= 0) && urlQuery.p)
+	if ((queryParts.indexOf('p') >= 0) && urlQuery.p) {
 		querySpec.props = (
 			Array.isArray(urlQuery.p) ? urlQuery.p.join(',') : urlQuery.p
 		).split(',');
+		if (whitelist && whitelist.props)
+			parseParam('p', urlQuery.p, () => {
+				for (let pattern of querySpec.props)
+					checkSelectAllowed(whitelist, pattern);
+			});
+	} else if ((queryParts.indexOf('p') >= 0) && preset && preset.props) {
+		querySpec.props = Array.from(preset.props);
+	}
+
+	// filter parsing context, shared by the filter and the free-text search
+	const clock = (options && options.clock);
+	const parseCtx = {
+		limits: (options && options.limits),
+		numPredicates: 0,
+		groupDepth: 0,
+		collectionDepth: 0,
+		now: (clock ? new Date(clock()) : new Date()).getTime(),
+		timeZone: ((options && options.timeZone) || 'UTC')
+	};
 
 	// parse filter spec
 	if (queryParts.indexOf('f') >= 0) {
-		const filter = parseFilterParams(
-			recordTypeDesc, 'f', ':and', urlQuery, queryParams, new Set());
+		let filter;
+		try {
+			filter = parseFilterParams(
+				recordTypeDesc, 'f', ':and', urlQuery, queryParams, new Set(),
+				'', whitelist, parseCtx);
+		} catch (err) {
+			throw toQuerySyntaxError(
+				err, parseCtx.paramName, parseCtx.paramValue);
+		}
 		querySpec.filter = (filter ? filter[1] : new Array());
+		parseParam('filter', urlQuery.filter, () => {
+			let rsqlRoot = (options && options.rsqlFilter);
+			if (!rsqlRoot && (urlQuery.filter !== undefined)) {
+				if (Array.isArray(urlQuery.filter))
+					throw new common.X2SyntaxError(
+						'More than one "filter" parameter.');
+				rsqlRoot = rsqlParser.parseRSQL(urlQuery.filter);
+			}
+			if (rsqlRoot) {
+				let nextQueryParamId = 0;
+				for (let node of (
+					rsqlRoot.junction === 'and' ?
+						rsqlRoot.members : [ rsqlRoot ]))
+					querySpec.filter.push(buildRSQLFilter(
+						recordTypeDesc, node, queryParams, '', whitelist,
+						parseCtx, () => `rsql$${nextQueryParamId++}`));
+			}
+		});
+		if (preset)
+			parseParam('preset', urlQuery.preset, () => mergePresetFilter(
+				preset, urlQuery, querySpec, queryParams));
+	}
+
+	// parse free-text search
+	if ((queryParts.indexOf('q') >= 0) && (urlQuery.q !== undefined)) {
+		const terms = (
+			Array.isArray(urlQuery.q) ? urlQuery.q.join(' ') : urlQuery.q
+		).split(/\s+/).filter(term => (term.length > 0));
+		if (terms.length > 0) {
+			if (!textSearch)
+				throw new QuerySyntaxError(
+					'Free-text search is not supported.', 'unsupported', {
+						param: 'q',
+						value: urlQuery.q
+					});
+			parseParam('q', urlQuery.q, () => {
+				for (let term of terms) {
+					checkLimit(
+						parseCtx, 'maxPatternLength', term.length,
+						'pattern length');
+					checkLimit(
+						parseCtx, 'maxPredicates',
+						parseCtx.numPredicates += textSearch.length,
+						'number of filter tests');
+				}
+			});
+			if (!querySpec.filter)
+				querySpec.filter = new Array();
+			terms.forEach((term, i) => {
+				const queryParamName = `q${i}`;
+				queryParams[queryParamName] = term;
+				querySpec.filter.push([ ':or', textSearch.map(
+					spec => [ spec, dbos.param(queryParamName) ]) ]);
+			});
+		}
 	}
 
 	// parse order spec
 	if ((queryParts.indexOf('o') >= 0) && urlQuery.o)
-		querySpec.order = (
+		querySpec.order = parseParam('o', urlQuery.o, () => (
 			Array.isArray(urlQuery.o) ? urlQuery.o.join(',') : urlQuery.o
-		).split(',').map(oElement => parseQueryPropRef(
-			recordTypeDesc, oElement, ORDER_OPS_MAPPING).spec);
+		).split(',').reduce((order, oElement) => {
+			order.push.apply(
+				order, parseOrderElement(recordTypeDesc, oElement, whitelist));
+			return order;
+		}, new Array()));
+	else if ((queryParts.indexOf('o') >= 0) && preset && preset.order)
+		querySpec.order = Array.from(preset.order);
 
 	// parse range spec
-	if ((queryParts.indexOf('r') >= 0) && urlQuery.r) {
-		if (Array.isArray(urlQuery.r))
-			throw new common.X2SyntaxError('More than one range specification.');
-		querySpec.range = urlQuery.r.split(',').map(v => Number(v));
+	if (queryParts.indexOf('r') >= 0) {
+		if (urlQuery.r) {
+			if (Array.isArray(urlQuery.r))
+				throw new QuerySyntaxError(
+					'More than one range specification.', 'syntax', {
+						param: 'r',
+						value: urlQuery.r
+					});
+			querySpec.range = urlQuery.r.split(',').map(v => Number(v));
+		} else if (preset && preset.range) {
+			querySpec.range = Array.from(preset.range);
+		} else if (defaultRange) {
+			querySpec.range = Array.from(defaultRange);
+		}
 	}
 
+	// parse cursor spec
+	if ((queryParts.indexOf('c') >= 0) && (urlQuery.c !== undefined))
+		querySpec.cursor = parseParam('c', urlQuery.c, () => parseCursor(
+			recordTypeDesc, urlQuery, querySpec, queryParams, whitelist));
+
 	// return parsed query spec
 	return querySpec;
 }
 
+/**
+ * Parse element of the "o" URL query parameter. Besides the property path with
+ * optional transformations and the order direction, the element may include
+ * modifiers: "ci" orders by the lower-cased string value, "nullsfirst" and
+ * "nullslast" place the records without the value before or after the records
+ * with it. The null placement is implemented with an additional order element
+ * that precedes the main one, since the fetch DBO order specification does not
+ * support it directly.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Descriptor
+ * of the record type being queried.
+ * @param {string} oElement The order element.
+ * @param {module:x2node-ws-resources~SearchWhitelist} [whitelist] Property
+ * paths allowed in the query.
+ * @returns {Array.<string>} Fetch DBO order specification elements.
+ * @throws {common.X2SyntaxError} If the element is invalid or uses a property
+ * not allowed by the whitelist.
+ */
+function parseOrderElement(recordTypeDesc, oElement, whitelist) {
+
+	const error = (msg, kind, segment) => new QuerySyntaxError(
+		`Invalid expression "${oElement}": ${msg}`, kind, {
+			segment: segment
+		});
+
+	// extract the modifiers
+	const modifiers = new Set();
+	const oElementParts = oElement.split(':').filter((part, i) => {
+		if ((i === 0) || !ORDER_MODIFIERS.has(part))
+			return true;
+		if (modifiers.has(part))
+			throw error(`duplicate "${part}" modifier.`, 'syntax', part);
+		modifiers.add(part);
+		return false;
+	});
+	if (modifiers.has('nullsfirst') && modifiers.has('nullslast'))
+		throw error(
+			'conflicting null placement modifiers.', 'syntax', 'nullslast');
+
+	// parse the property reference and the direction
+	const pred = parseQueryPropRef(
+		recordTypeDesc, oElementParts.join(':'), ORDER_OPS_MAPPING);
+	checkOrderAllowed(whitelist, pred.propPath);
+	const dir = (pred.spec.endsWith('desc') ? 'desc' : 'asc');
+
+	// build the order elements
+	const order = new Array();
+	if (modifiers.has('nullsfirst') || modifiers.has('nullslast'))
+		order.push(
+			`coalesce(length(concat(${pred.valueSpec}, "")) * 0, 1) => ${
+				modifiers.has('nullsfirst') ? 'desc' : 'asc'}`);
+	if (modifiers.has('ci')) {
+		if (pred.valueType !== 'string')
+			throw error(
+				'modifier "ci" expects string input.', 'invalidArgument', 'ci');
+		order.push(`lower(${pred.valueSpec}) => ${dir}`);
+	} else {
+		order.push(pred.spec);
+	}
+
+	// return the order elements
+	return order;
+}
+
+/**
+ * Named search query preset.
+ *
+ * @protected
+ * @typedef {Object} module:x2node-ws-resources~SearchPreset
+ * @property {Array.<string>} [props] Selected properties specification used
+ * if the URL query does not include "p" parameter.
+ * @property {Array} [filter] Filter specification combined with logical AND
+ * with the filter from the URL query. May include parameter placeholders
+ * created with <code>dbos.param()</code> for the values provided by the
+ * <code>params</code>.
+ * @property {Array.<string>} [order] Order specification used if the URL
+ * query does not include "o" parameter. Not used with cursor pagination.
+ * @property {Array.<number>} [range] Range specification used if the URL
+ * query does not include "r" parameter.
+ * @property {Object.<string,(*|function)>} [params] Values for the parameter
+ * placeholders in the filter specification. A value can be a function that
+ * receives the URL query parameters object and returns the value, which
+ * allows presets to take optional parameters from the URL. The function can
+ * throw <code>X2SyntaxError</code> if the URL query parameter is invalid.
+ */
+
+/**
+ * Search query document used with the <code>POST</code> search requests.
+ *
+ * @protected
+ * @typedef {Object} module:x2node-ws-resources~SearchDocument
+ * @property {(string|Array.<string>)} [props] Property path patterns to
+ * include in the result, same as the "p" URL query parameter.
+ * @property {*} [filter] Filter tree. Each element is either an object with
+ * single "and" or "or" property that contains an array of nested elements, or
+ * a comparison object with "prop", "op" and "value" (or "filter" for the "any"
+ * operator) properties that correspond to the RSQL selector, operator name and
+ * arguments.
+ * @property {string} [q] Free-text search terms.
+ * @property {(string|Array.<string>)} [order] Order expressions, same as the
+ * "o" URL query parameter.
+ * @property {Array.<number>} [range] Range as the first record index and the
+ * maximum number of records.
+ * @property {string} [cursor] Cursor for the cursor pagination.
+ * @property {string} [preset] Query preset name.
+ * @property {Object.<string,string>} [params] Parameters used by the query
+ * preset, the same as the additional URL query parameters. Only the
+ * parameters declared in the selected preset's <code>params</code> are
+ * allowed.
+ * @property {(string|Array.<string>)} [facets] Property paths to count facet
+ * values for.
+ * @property {string} [distinct] Property path to return distinct values of.
+ * @property {string} [prefix] Distinct values prefix.
+ * @property {number} [limit] Maximum number of distinct values.
+ */
+
+/**
+ * Search query document properties that translate directly to URL query
+ * parameters, and the parameter names.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const SEARCH_DOCUMENT_PARAMS = {
+	'props': 'p',
+	'q': 'q',
+	'order': 'o',
+	'cursor': 'c',
+	'preset': 'preset',
+	'facets': 'facet',
+	'distinct': 'distinct',
+	'prefix': 'prefix',
+	'limit': 'limit'
+};
+
+/**
+ * Pattern for the URL query parameter names that may not be provided via the
+ * search query document parameters, because they are either the standard
+ * search parameters or the filter parameters.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const RESERVED_PARAM_PATTERN =
+	/^(?:p|q|o|r|c|preset|facet|distinct|prefix|limit|filter)$|\$/;
+
+/**
+ * Convert search query document to the equivalent URL query parameters and
+ * RSQL filter tree. The result can then be passed to
+ * [parseSearchQuery()]{@link module:x2node-ws-resources.parseSearchQuery} and
+ * to the facets and distinct values parsers.
+ *
+ * @private
+ * @param {module:x2node-ws-resources~SearchDocument} doc The document.
+ * @param {Map.<string,module:x2node-ws-resources~SearchPreset>} [presets]
+ * Available presets. Only the parameters declared by the selected preset are
+ * accepted in the document's <code>params</code>.
+ * @returns {Object} Object with <code>urlQuery</code> and
+ * <code>rsqlFilter</code> properties.
+ * @throws {common.X2SyntaxError} If the document is invalid.
+ */
+function parseSearchDocument(doc, presets) {
+
+	if ((doc === null) || ((typeof doc) !== 'object') || Array.isArray(doc))
+		throw new common.X2SyntaxError(
+			'Search query document must be an object.');
+
+	const urlQuery = new Object();
+	let rsqlFilter, params;
+	for (let propName of Object.keys(doc)) {
+		const val = doc[propName];
+		const paramName = SEARCH_DOCUMENT_PARAMS[propName];
+		if (paramName) {
+			if (Array.isArray(val) ?
+				val.some(v => ((typeof v) !== 'string')) :
+				(((typeof val) !== 'string') && ((typeof val) !== 'number')))
+				throw new common.X2SyntaxError(
+					`Invalid search query document property "${propName}".`);
+			urlQuery[paramName] = (
+				Array.isArray(val) ? val.join(',') : String(val));
+		} else if (propName === 'range') {
+			if (!Array.isArray(val) || (val.length !== 2) ||
+				!val.every(v => Number.isInteger(v)))
+				throw new common.X2SyntaxError(
+					'Search query document "range" property must be an array' +
+						' of two integers.');
+			urlQuery.r = val.join(',');
+		} else if (propName === 'filter') {
+			rsqlFilter = rsqlParser.parseFilterTree(val);
+		} else if (propName === 'params') {
+			if ((val === null) || ((typeof val) !== 'object'))
+				throw new common.X2SyntaxError(
+					'Search query document "params" property must be' +
+						' an object.');
+			params = val;
+		} else {
+			throw new common.X2SyntaxError(
+				`Unknown search query document property "${propName}".`);
+		}
+	}
+
+	// add preset parameters
+	if (params) {
+		const preset = getPreset(presets, urlQuery);
+		const declared = ((preset && preset.params) || new Object());
+		for (let name of Object.keys(params)) {
+			if (!Object.prototype.hasOwnProperty.call(declared, name) ||
+				RESERVED_PARAM_PATTERN.test(name))
+				throw new QuerySyntaxError(
+					`Search query document parameter "${name}" is not a` +
+						` parameter of the selected preset.`,
+					'notAllowed', {
+						segment: name,
+						allowed: Object.keys(declared).filter(
+							n => !RESERVED_PARAM_PATTERN.test(n))
+					});
+			urlQuery[name] = String(params[name]);
+		}
+	}
+
+	return {
+		urlQuery: urlQuery,
+		rsqlFilter: rsqlFilter
+	};
+}
+
+/**
+ * Get preset selected by the "preset" URL query parameter.
+ *
+ * @private
+ * @param {Map.<string,module:x2node-ws-resources~SearchPreset>} [presets]
+ * Available presets.
+ * @param {Object} urlQuery URL query parameters.
+ * @returns {module:x2node-ws-resources~SearchPreset} The preset, or
+ * <code>undefined</code> if no preset is selected.
+ * @throws {common.X2SyntaxError} If the preset is invalid.
+ */
+function getPreset(presets, urlQuery) {
+
+	const presetName = urlQuery.preset;
+	if (!presetName)
+		return undefined;
+
+	if (Array.isArray(presetName))
+		throw new common.X2SyntaxError('More than one preset.');
+
+	const preset = (presets && presets.get(presetName));
+	if (!preset)
+		throw new QuerySyntaxError(
+			`Unknown preset "${presetName}".`, 'unknownPreset', {
+				segment: presetName,
+				allowed: (presets ? Array.from(presets.keys()) : [])
+			});
+
+	return preset;
+}
+
+/**
+ * Add preset filter to the query specification and the preset parameters to
+ * the query parameters. The parameters are renamed with "preset$" prefix to
+ * avoid conflicts with the parameters generated from the URL query.
+ *
+ * @private
+ * @param {module:x2node-ws-resources~SearchPreset} preset The preset.
+ * @param {Object} urlQuery URL query parameters.
+ * @param {Object} querySpec Query specification with the filter to adjust.
+ * @param {Object.<string,*>} queryParams Fetch query parameters to populate.
+ * @throws {common.X2SyntaxError} If a preset parameter value is missing or
+ * invalid.
+ */
+function mergePresetFilter(preset, urlQuery, querySpec, queryParams) {
+
+	// get the parameter values
+	const params = (preset.params || new Object());
+	for (let paramName of Object.keys(params)) {
+		const paramVal = params[paramName];
+		const value = (
+			(typeof paramVal) === 'function' ? paramVal(urlQuery) : paramVal);
+		if (value === undefined)
+			throw new common.X2SyntaxError(
+				`Preset "${urlQuery.preset}" requires parameter` +
+					` "${paramName}".`);
+		queryParams['preset$' + paramName] = value;
+	}
+
+	// add the filter
+	if (preset.filter) {
+		const renameParams = v => (
+			dbos.isParam(v) ? dbos.param('preset$' + v.name) : (
+				Array.isArray(v) ? v.map(renameParams) : v
+			));
+		querySpec.filter = renameParams(preset.filter).concat(
+			querySpec.filter);
+	}
+}
+
+/**
+ * Parse "facet" URL query parameter.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Descriptor
+ * of the record type being queried.
+ * @param {Object} urlQuery URL query parameters.
+ * @param {module:x2node-ws-resources~SearchWhitelist} [whitelist] Property
+ * paths allowed in the query. Facet properties must be allowed in the filter
+ * section.
+ * @returns {Array.<Object>} Facet descriptors, each with
+ * <code>propPath</code> property and <code>multi</code> flag telling if the
+ * property is an array, or <code>null</code> if no facets requested.
+ * @throws {module:x2node-ws-resources.QuerySyntaxError} If the parameter is
+ * invalid.
+ */
+function parseFacets(recordTypeDesc, urlQuery, whitelist) {
+
+	if (!urlQuery.facet)
+		return null;
+
+	const facets = new Array();
+	const propPaths = new Set();
+	for (let propPath of (
+		Array.isArray(urlQuery.facet) ?
+			urlQuery.facet.join(',') : urlQuery.facet).split(',')) {
+
+		// skip duplicates
+		if (propPaths.has(propPath))
+			continue;
+		propPaths.add(propPath);
+
+		// add the facet
+		const propDesc = parseParam(
+			'facet', urlQuery.facet, () => resolveValuesProp(
+				recordTypeDesc, propPath, whitelist, 'facet'));
+		if (propDesc.isId() || propDesc.isRecordMetaInfo())
+			throw new QuerySyntaxError(
+				`Invalid facet "${propPath}": property values are unique or` +
+					` nearly unique and cannot be counted.`,
+				'invalidProperty', {
+					param: 'facet',
+					value: urlQuery.facet,
+					segment: propPath
+				});
+		facets.push({
+			propPath: propPath,
+			multi: propDesc.isArray()
+		});
+	}
+
+	return facets;
+}
+
+/**
+ * Parse "distinct" URL query parameter used to request distinct values of a
+ * property instead of the matching records, and adjust the query
+ * specification accordingly. The optional "prefix" URL query parameter
+ * selects only values that start with it (case-insensitive) and the optional
+ * "limit" parameter specifies the maximum number of returned values.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Descriptor
+ * of the record type being queried.
+ * @param {Object} urlQuery URL query parameters.
+ * @param {Object} querySpec Query specification with the filter to adjust.
+ * @param {Object.<string,*>} queryParams Fetch query parameters to populate.
+ * @param {module:x2node-ws-resources~SearchWhitelist} [whitelist] Property
+ * paths allowed in the query. The property must be allowed in the filter
+ * section.
+ * @returns {Object} Distinct values request descriptor with
+ * <code>propPath</code>, <code>multi</code>, <code>prefix</code> and
+ * <code>limit</code> properties, or <code>null</code> if distinct values are
+ * not requested.
+ * @throws {module:x2node-ws-resources.QuerySyntaxError} If the parameters are
+ * invalid.
+ */
+function parseDistinct(
+	recordTypeDesc, urlQuery, querySpec, queryParams, whitelist) {
+
+	if (urlQuery.distinct === undefined)
+		return null;
+
+	// get the property
+	const single = (v, paramName) => {
+		if (Array.isArray(v))
+			throw new QuerySyntaxError(
+				`More than one "${paramName}" parameter.`, 'syntax', {
+					param: paramName,
+					value: v
+				});
+		return v;
+	};
+	const propPath = single(urlQuery.distinct, 'distinct');
+	const propDesc = parseParam(
+		'distinct', propPath, () => resolveValuesProp(
+			recordTypeDesc, propPath, whitelist, 'distinct'));
+	const multi = propDesc.isArray();
+
+	// get the prefix
+	const prefix = single(urlQuery.prefix, 'prefix');
+	if (prefix && (propDesc.scalarValueType !== 'string'))
+		throw new QuerySyntaxError(
+			'Distinct values prefix requires a string property.',
+			'invalidProperty', {
+				param: 'prefix',
+				value: prefix,
+				segment: propPath
+			});
+
+	// get the limit
+	let limit = single(urlQuery.limit, 'limit');
+	if (limit !== undefined) {
+		if (!Number.isInteger(Number(limit)) || (Number(limit) < 1))
+			throw new QuerySyntaxError(
+				'Distinct values limit must be a positive integer.',
+				'invalidValue', {
+					param: 'limit',
+					value: limit
+				});
+		limit = Number(limit);
+	}
+
+	// adjust the query specification
+	querySpec.props = [ propPath ];
+	if (!multi) {
+		querySpec.order = [ `${propPath} => asc` ];
+		if (prefix) {
+			queryParams['dpre'] = prefix;
+			querySpec.filter.push(
+				[ `${propPath} => startsi`, dbos.param('dpre') ]);
+		}
+	}
+
+	// return the descriptor
+	return {
+		propPath: propPath,
+		multi: multi,
+		prefix: prefix,
+		limit: limit
+	};
+}
+
+/**
+ * Get distinct values of the property from the records fetched for a distinct
+ * values request. If more records than the specified maximum are fetched,
+ * only the maximum number of records is used, which is enough only if the
+ * property is not an array and the requested number of values is found in
+ * them, because then the records are ordered by the property value.
+ *
+ * @private
+ * @param {Object} distinct Descriptor from <code>parseDistinct()</code>.
+ * @param {Array.<Object>} records Matching records with the property, ordered
+ * by the property value unless the property is an array.
+ * @param {number} [maxRecords] Maximum number of records to use.
+ * @returns {Array.<*>} Distinct non-null values in ascending order, or
+ * <code>null</code> if the values cannot be determined from the maximum number
+ * of records.
+ */
+function collectDistinctValues(distinct, records, maxRecords) {
+
+	// check if too many records
+	const truncated = (maxRecords && (records.length > maxRecords));
+	if (truncated) {
+		if (distinct.multi || !distinct.limit)
+			return null;
+		records = records.slice(0, maxRecords);
+	}
+
+	// collect the values
+	const values = new Set();
+	const prefix = (distinct.prefix && distinct.prefix.toLowerCase());
+	for (let record of records) {
+		const value = getPropValue(record, distinct.propPath);
+		for (let v of (distinct.multi ? (value || []) : [ value ])) {
+			if ((v === null) || (v === undefined))
+				continue;
+			if (prefix && !String(v).toLowerCase().startsWith(prefix))
+				continue;
+			values.add(v);
+		}
+	}
+
+	// sort and limit
+	let res = Array.from(values);
+	if (truncated && (res.length < distinct.limit))
+		return null;
+	if (distinct.multi)
+		res.sort((a, b) => (a < b ? -1 : (a > b ? 1 : 0)));
+	if (distinct.limit && (res.length > distinct.limit))
+		res = res.slice(0, distinct.limit);
+
+	// return the values
+	return res;
+}
+
+/**
+ * Make sure the property can be used for counting or listing its distinct
+ * values, which are facets and distinct values requests.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Descriptor
+ * of the record type being queried.
+ * @param {string} propPath Property path.
+ * @param {module:x2node-ws-resources~SearchWhitelist} [whitelist] Property
+ * paths allowed in the query. The property must be allowed in the filter
+ * section.
+ * @param {string} paramName URL query parameter name for error messages.
+ * @returns {module:x2node-records~PropertyDescriptor} Property descriptor.
+ * @throws {common.X2SyntaxError} If the property cannot be used.
+ */
+function resolveValuesProp(recordTypeDesc, propPath, whitelist, paramName) {
+
+	const error = (msg, kind, segment, allowed) => new QuerySyntaxError(
+		`Invalid ${paramName} "${propPath}": ${msg}`, kind, {
+			segment: segment,
+			allowed: allowed
+		});
+
+	let container = recordTypeDesc, propDesc;
+	for (let propName of propPath.split('.')) {
+		if (!container || !container.hasProperty(propName))
+			throw error(
+				'invalid property path.', 'unknownProperty', propName,
+				(container ? container.allPropertyNames : []));
+		if (propDesc && (!propDesc.isScalar() || propDesc.isRef()))
+			throw error(
+				'intermediate is not a nested object.', 'invalidProperty',
+				propName);
+		propDesc = container.getPropertyDesc(propName);
+		container = propDesc.nestedProperties;
+	}
+	if (propDesc.isMap() || (propDesc.scalarValueType === 'object'))
+		throw error(
+			'expected a property with simple values.', 'invalidProperty',
+			propPath);
+
+	checkFilterAllowed(whitelist, propPath, 'eq');
+
+	return propDesc;
+}
+
+/**
+ * Get value of a possibly nested property from a record.
+ *
+ * @private
+ * @param {Object} record The record.
+ * @param {string} propPath Property path, which may include nested object
+ * properties.
+ * @returns {*} The value, or <code>undefined</code> if not present.
+ */
+function getPropValue(record, propPath) {
+
+	let value = record;
+	for (let propName of propPath.split('.')) {
+		if ((value === null) || (value === undefined))
+			return undefined;
+		value = value[propName];
+	}
+
+	return value;
+}
+
+/**
+ * Count matching records for each distinct value of the facet property.
+ *
+ * @private
+ * @param {Object} facet Facet descriptor from <code>parseFacets()</code>.
+ * @param {Array.<Object>} records Matching records with the facet property.
+ * @returns {Array.<Object>} Facet value counts, each with <code>value</code>
+ * and <code>count</code> properties, sorted by the count in descending order.
+ * Records that do not have the property value are counted under
+ * <code>null</code> value.
+ */
+function countFacetValues(facet, records) {
+
+	// count the values
+	const counts = new Map();
+	for (let record of records) {
+		const value = getPropValue(record, facet.propPath);
+		let values;
+		if (facet.multi)
+			values = new Set(value);
+		else
+			values = [ (value === undefined ? null : value) ];
+		for (let v of values)
+			counts.set(v, (counts.get(v) || 0) + 1);
+	}
+
+	// build the result
+	return Array.from(counts.entries()).map(entry => ({
+		value: entry[0],
+		count: entry[1]
+	})).sort((a, b) => (b.count - a.count));
+}
+
+/**
+ * Parse property references used for the free-text search into filter test
+ * specifications.
+ *
+ * @function module:x2node-ws-resources.parseTextSearchProps
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Descriptor
+ * of the record type being queried.
+ * @param {Array.<string>} propRefs Property references. Each reference is a
+ * path of a scalar string property, which may include nested object and
+ * reference properties, optionally followed by ":mid" (the default) to
+ * search for the terms anywhere in the value, or ":pre" to search for the
+ * values that start with the terms.
+ * @returns {Array.<string>} Filter test specifications.
+ * @throws {common.X2UsageError} If any of the references is invalid.
+ */
+function parseTextSearchProps(recordTypeDesc, propRefs) {
+
+	return propRefs.map(propRef => {
+		let pred;
+		try {
+			pred = parseQueryPropRef(
+				recordTypeDesc,
+				(propRef.indexOf(':') >= 0 ? propRef : propRef + ':mid'),
+				FILTER_OPS_MAPPING, true);
+		} catch (err) {
+			if (err instanceof common.X2SyntaxError)
+				throw new common.X2UsageError(err.message);
+			throw err;
+		}
+		if (!pred.propDesc.isScalar() || pred.propDesc.isRef() ||
+			(pred.valueType !== 'string') || propRef.endsWith('!') ||
+			((pred.test !== 'mid') && (pred.test !== 'pre')))
+			throw new common.X2UsageError(
+				`Invalid free-text search property "${propRef}": expected` +
+					` a scalar string property with optional ":mid" or` +
+					` ":pre" test.`);
+		return pred.spec;
+	});
+}
+
+/**
+ * Property paths allowed in the search queries. If a section is not present,
+ * any property can be used in the corresponding part of the query.
+ *
+ * @protected
+ * @typedef {Object} module:x2node-ws-resources~SearchWhitelist
+ * @property {Object.<string,(boolean|Array.<string>)>} [filter] Property paths
+ * allowed in the filter tests, including nested properties of collections
+ * tested with nested filter groups. The value is either <code>true</code> to
+ * allow any test, or a list of allowed test names: "eq" for the equality
+ * test, "empty" for the presence test, and "min", "max", "eqi", "pat", "mid",
+ * "pre", "patcs", "midcs", "precs", "alt", "rng", "rngx" and "count". Allowing
+ * a test also allows its inverted form.
+ * @property {Array.<string>} [order] Property paths allowed in the order
+ * specification.
+ * @property {Array.<string>} [props] Property path patterns allowed in the
+ * selected properties specification. A pattern ending with ".*" allows the
+ * referred record and any of its properties. Patterns "*" and exclusions are
+ * always allowed.
+ */
+
+/**
+ * Make sure the filter test is allowed by the whitelist.
+ *
+ * @private
+ * @param {module:x2node-ws-resources~SearchWhitelist} [whitelist] The
+ * whitelist.
+ * @param {string} propPath Full path of the tested property.
+ * @param {string} test The test name.
+ * @throws {common.X2SyntaxError} If the test is not allowed.
+ */
+function checkFilterAllowed(whitelist, propPath, test) {
+
+	if (!whitelist || !whitelist.filter)
+		return;
+
+	const allowedTests = whitelist.filter[propPath];
+	if (!allowedTests)
+		throw new QuerySyntaxError(
+			`Filtering by property "${propPath}" is not allowed.`,
+			'notAllowed', {
+				segment: propPath,
+				allowed: Object.keys(whitelist.filter)
+			});
+	if (Array.isArray(allowedTests) && (allowedTests.indexOf(test) < 0))
+		throw new QuerySyntaxError(
+			`Filter test "${test}" on property "${propPath}" is not allowed.`,
+			'notAllowed', {
+				segment: test,
+				allowed: allowedTests
+			});
+}
+
+/**
+ * Make sure ordering by the property is allowed by the whitelist.
+ *
+ * @private
+ * @param {module:x2node-ws-resources~SearchWhitelist} [whitelist] The
+ * whitelist.
+ * @param {string} propPath Property path.
+ * @throws {common.X2SyntaxError} If the ordering is not allowed.
+ */
+function checkOrderAllowed(whitelist, propPath) {
+
+	if (!whitelist || !whitelist.order)
+		return;
+
+	if (whitelist.order.indexOf(propPath) < 0)
+		throw new QuerySyntaxError(
+			`Ordering by property "${propPath}" is not allowed.`,
+			'notAllowed', {
+				segment: propPath,
+				allowed: whitelist.order
+			});
+}
+
+/**
+ * Make sure selecting the property is allowed by the whitelist.
+ *
+ * @private
+ * @param {module:x2node-ws-resources~SearchWhitelist} whitelist The whitelist
+ * with the selected properties section.
+ * @param {string} pattern Selected property pattern.
+ * @throws {common.X2SyntaxError} If the selection is not allowed.
+ */
+function checkSelectAllowed(whitelist, pattern) {
+
+	if ((pattern === '*') || pattern.startsWith('-'))
+		return;
+
+	for (let allowedPattern of whitelist.props) {
+		if (allowedPattern === pattern)
+			return;
+		if (allowedPattern.endsWith('.*') && pattern.startsWith(
+			allowedPattern.substring(0, allowedPattern.length - 1)))
+			return;
+	}
+
+	throw new QuerySyntaxError(
+		`Selecting property "${pattern}" is not allowed.`, 'notAllowed', {
+			segment: pattern,
+			allowed: whitelist.props
+		});
+}
+
+/**
+ * Parse cursor pagination parameter and adjust the query specification
+ * accordingly.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Descriptor
+ * of the record type being queried.
+ * @param {Object} urlQuery URL query parameters.
+ * @param {Object} querySpec Query specification to adjust.
+ * @param {Object.<string,*>} queryParams Fetch query parameters to populate.
+ * @param {module:x2node-ws-resources~SearchWhitelist} [whitelist] Property
+ * paths allowed in the query.
+ * @returns {Object} Cursor descriptor.
+ * @throws {common.X2SyntaxError} If the cursor is invalid.
+ */
+function parseCursor(
+	recordTypeDesc, urlQuery, querySpec, queryParams, whitelist) {
+
+	// check that single cursor
+	if (Array.isArray(urlQuery.c))
+		throw new common.X2SyntaxError('More than one cursor.');
+
+	// get the order spec string from the URL
+	const urlOrder = (
+		urlQuery.o ? (
+			Array.isArray(urlQuery.o) ? urlQuery.o.join(',') : urlQuery.o
+		) : '');
+
+	// decode the cursor or start from the first page
+	let cursor;
+	if (urlQuery.c.length > 0) {
+		cursor = decodeCursor(urlQuery.c);
+		if (urlOrder && (urlOrder !== cursor.o))
+			throw new common.X2SyntaxError(
+				'Cursor does not match the order specification.');
+	} else {
+		const range = querySpec.range;
+		if (!range)
+			throw new common.X2SyntaxError(
+				'Cursor pagination requires range specification.');
+		if ((range.length !== 2) || (range[0] !== 0) ||
+			!Number.isInteger(range[1]) || (range[1] < 1))
+			throw new common.X2SyntaxError(
+				'Cursor pagination requires range with zero offset and' +
+					' a positive limit.');
+		cursor = {
+			o: urlOrder,
+			l: range[1],
+			d: 'n'
+		};
+	}
+
+	// build the cursor keys
+	const idPropName = recordTypeDesc.idPropertyName;
+	const keys = new Array();
+	let idIncluded = false;
+	if (cursor.o.length > 0) {
+		for (let oElement of cursor.o.split(',')) {
+			const modifier = oElement.split(':').find(
+				(part, i) => ((i > 0) && ORDER_MODIFIERS.has(part)));
+			if (modifier)
+				throw new QuerySyntaxError(
+					`Invalid cursor order expression "${oElement}":` +
+						` order modifiers are not supported.`, 'unsupported', {
+						segment: modifier
+					});
+			const pred = parseQueryPropRef(
+				recordTypeDesc, oElement, ORDER_OPS_MAPPING);
+			const propPath = pred.propPath;
+			checkOrderAllowed(whitelist, propPath);
+			checkCursorKeyProp(recordTypeDesc, oElement, propPath);
+			keys.push({
+				propPath: propPath,
+				desc: pred.spec.endsWith('desc'),
+				pred: pred
+			});
+			if (propPath === idPropName)
+				idIncluded = true;
+		}
+	}
+	if (!idIncluded)
+		keys.push({
+			propPath: idPropName,
+			desc: false,
+			pred: parseQueryPropRef(
+				recordTypeDesc, idPropName, ORDER_OPS_MAPPING)
+		});
+
+	// build the order
+	const prev = (cursor.d === 'p');
+	querySpec.order = keys.map(key => `${key.propPath} => ${
+		key.desc !== prev ? 'desc' : 'asc'}`);
+
+	// add the keys to the selected properties
+	if (querySpec.props && (querySpec.props.indexOf('*') < 0)) {
+		for (let key of keys)
+			if (querySpec.props.indexOf(key.propPath) < 0)
+				querySpec.props.push(key.propPath);
+	}
+
+	// build the range filter if continuing from a key
+	let keyFilter;
+	if (cursor.k) {
+		if (!Array.isArray(cursor.k) || (cursor.k.length !== keys.length))
+			throw new common.X2SyntaxError('Invalid cursor.');
+		const keyVals = cursor.k.map((v, i) => {
+			if ((v === null) || ((typeof v) === 'object'))
+				throw new common.X2SyntaxError('Invalid cursor.');
+			const queryParamName = `c${i}`;
+			queryParams[queryParamName] = valueToQueryParam(
+				String(v), keys[i].pred);
+			return dbos.param(queryParamName);
+		});
+		const alternatives = keys.map((key, i) => {
+			const terms = new Array();
+			for (let j = 0; j < i; j++)
+				terms.push([ `${keys[j].propPath} => eq`, keyVals[j] ]);
+			terms.push([
+				`${key.propPath} => ${key.desc !== prev ? 'lt' : 'gt'}`,
+				keyVals[i]
+			]);
+			return [ ':and', terms ];
+		});
+		if (!querySpec.filter)
+			querySpec.filter = new Array();
+		keyFilter = [ ':or', alternatives ];
+		querySpec.filter.push(keyFilter);
+	}
+
+	// fetch one extra record to know if there are more
+	querySpec.range = [ 0, cursor.l + 1 ];
+
+	// return the cursor descriptor
+	return {
+		order: cursor.o,
+		limit: cursor.l,
+		direction: cursor.d,
+		continued: (cursor.k !== undefined),
+		keyPropPaths: keys.map(key => key.propPath),
+		keyFilter: keyFilter
+	};
+}
+
+/**
+ * Make sure the property used in the order specification can be used as a
+ * cursor key.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Descriptor
+ * of the record type being queried.
+ * @param {string} oElement Order specification element.
+ * @param {string} propPath The property path.
+ * @throws {common.X2SyntaxError} If the property cannot be used.
+ */
+function checkCursorKeyProp(recordTypeDesc, oElement, propPath) {
+
+	const error = (msg, kind, segment) => new QuerySyntaxError(
+		`Invalid cursor order expression "${oElement}": ${msg}`, kind, {
+			segment: segment
+		});
+
+	const oElementParts = oElement.split(':');
+	if ((oElementParts.length > 2) || ((oElementParts.length === 2) &&
+		(oElementParts[1] !== 'asc') && (oElementParts[1] !== 'desc')))
+		throw error(
+			'transformations are not supported.', 'unsupported',
+			oElementParts[1]);
+
+	let container = recordTypeDesc;
+	for (let propName of propPath.split('.')) {
+		if (!container)
+			throw error(
+				'property of a referred record.', 'invalidProperty', propName);
+		const propDesc = container.getPropertyDesc(propName);
+		if (!propDesc.isScalar())
+			throw error('non-scalar property.', 'invalidProperty', propName);
+		if (propDesc.optional)
+			throw error('optional property.', 'invalidProperty', propName);
+		container = (propDesc.isRef() ? null : propDesc.nestedProperties);
+	}
+}
+
+/**
+ * Decode cursor parameter value.
+ *
+ * @private
+ * @param {string} val Cursor parameter value.
+ * @returns {Object} Decoded cursor.
+ * @throws {common.X2SyntaxError} If the cursor is invalid.
+ */
+function decodeCursor(val) {
+
+	let cursor;
+	try {
+		cursor = JSON.parse(Buffer.from(val, 'base64').toString('utf8'));
+	} catch (err) {
+		throw new common.X2SyntaxError('Invalid cursor.');
+	}
+
+	if ((cursor === null) || ((typeof cursor) !== 'object') ||
+		((typeof cursor.o) !== 'string') ||
+		!Number.isInteger(cursor.l) || (cursor.l < 1) ||
+		((cursor.d !== 'n') && (cursor.d !== 'p')))
+		throw new common.X2SyntaxError('Invalid cursor.');
+
+	return cursor;
+}
+
+/**
+ * Encode cursor parameter value.
+ *
+ * @private
+ * @param {Object} cursorDesc Cursor descriptor.
+ * @param {string} direction Either "n" for next page or "p" for previous.
+ * @param {Object} record The boundary record.
+ * @returns {string} Encoded cursor.
+ */
+function encodeCursor(cursorDesc, direction, record) {
+
+	return Buffer.from(JSON.stringify({
+		o: cursorDesc.order,
+		l: cursorDesc.limit,
+		d: direction,
+		k: cursorDesc.keyPropPaths.map(propPath => propPath.split('.').reduce(
+			(obj, propName) => (obj === undefined ? obj : obj[propName]),
+			record))
+	}), 'utf8').toString('base64').replace(/\+/g, '-').replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+/**
+ * Complete result page fetched using cursor pagination. Removes the extra
+ * fetched record, restores the requested records order and sets
+ * <code>nextCursor</code> and <code>prevCursor</code> properties on the result
+ * object.
+ *
+ * @function module:x2node-ws-resources.completeCursorPage
+ * @param {Object} cursorDesc Cursor descriptor from the query specification
+ * returned by
+ * [parseSearchQuery()]{@link module:x2node-ws-resources.parseSearchQuery}.
+ * @param {module:x2node-dbos~FetchDBO~Result} result The fetch result.
+ * @returns {module:x2node-dbos~FetchDBO~Result} The result.
+ */
+function completeCursorPage(cursorDesc, result) {
+
+	// remove the extra record
+	const records = result.records;
+	const hasMore = (records.length > cursorDesc.limit);
+	if (hasMore)
+		records.pop();
+
+	// check if no records
+	if (records.length === 0)
+		return result;
+
+	// set the cursors
+	if (cursorDesc.direction === 'p') {
+		records.reverse();
+		if (hasMore)
+			result.prevCursor = encodeCursor(cursorDesc, 'p', records[0]);
+		result.nextCursor = encodeCursor(
+			cursorDesc, 'n', records[records.length - 1]);
+	} else {
+		if (cursorDesc.continued)
+			result.prevCursor = encodeCursor(cursorDesc, 'p', records[0]);
+		if (hasMore)
+			result.nextCursor = encodeCursor(
+				cursorDesc, 'n', records[records.length - 1]);
+	}
+
+	// return the result
+	return result;
+}
+
 /**
  * Parse filter query string parameters and build filter specfication.
  *
@@ -112,11 +1509,21 @@ function parseSearchQuery(recordTypeDesc, urlQuery, queryParts, queryParams) {
  * @param {Object.<string,*>} queryParams Fetch query parameters to populate.
  * @param {Set.<string>} parentGroupIds Parent group ids for circular group
  * references check.
+ * @param {string} pathPrefix Path of the base container from the record type,
+ * with a trailing dot, or empty string for the record type itself.
+ * @param {module:x2node-ws-resources~SearchWhitelist} [whitelist] Property
+ * paths allowed in the query.
+ * @param {Object} parseCtx Filter parsing context with the complexity limits
+ * and the current time for the relative dates. The name and the value of the
+ * parameter being processed are recorded in it for the error details.
  * @returns {Array} Filter specification.
  * @throws {common.X2SyntaxError} If the query string parameters are invalid.
+ * @throws {module:x2node-ws-resources.QueryLimitError} If the filter exceeds
+ * the complexity limits.
  */
 function parseFilterParams(
-	baseContainer, groupId, junc, urlQuery, queryParams, parentGroupIds) {
+	baseContainer, groupId, junc, urlQuery, queryParams, parentGroupIds,
+	pathPrefix, whitelist, parseCtx) {
 
 	// check if valid group id
 	if (groupId.length === 0)
@@ -148,6 +1555,10 @@ function parseFilterParams(
 		// process each parameter
 		for (let valExpr of valExprs) {
 
+			// remember the parameter for the error details
+			parseCtx.paramName = paramName;
+			parseCtx.paramValue = valExpr;
+
 			// check if nested group
 			if (refExpr.startsWith(':')) {
 
@@ -167,17 +1578,25 @@ function parseFilterParams(
 					nestedJunc = ':!and';
 					break;
 				default:
-					throw new common.X2SyntaxError(
+					throw new QuerySyntaxError(
 						`Invalid junction type "${refExpr}"` +
-							` in filter group "${groupId}".`);
+							` in filter group "${groupId}".`, 'syntax', {
+							segment: refExpr,
+							allowed: [ ':or', ':or!', ':and', ':and!' ]
+						});
 				}
 
 				// create nested group
+				checkLimit(
+					parseCtx, 'maxGroupDepth', ++parseCtx.groupDepth,
+					'filter group depth');
 				parentGroupIds.add(groupId);
 				const nestedGroup = parseFilterParams(
 					baseContainer, valExpr, nestedJunc, urlQuery,
-					queryParams, parentGroupIds);
+					queryParams, parentGroupIds, pathPrefix, whitelist,
+					parseCtx);
 				parentGroupIds.delete(groupId);
+				parseCtx.groupDepth--;
 				if (nestedGroup)
 					members.push(nestedGroup);
 
@@ -187,6 +1606,11 @@ function parseFilterParams(
 				const hasValue = (valExpr.length > 0);
 				const pred = parseQueryPropRef(
 					baseContainer, refExpr, FILTER_OPS_MAPPING, hasValue);
+				checkFilterAllowed(
+					whitelist, pathPrefix + pred.propPath, pred.test);
+				checkLimit(
+					parseCtx, 'maxPredicates', ++parseCtx.numPredicates,
+					'number of filter tests');
 
 				// check if has value
 				if (hasValue) {
@@ -202,16 +1626,19 @@ function parseFilterParams(
 						if (pred.spec.endsWith('count')) {
 							const valExprParts = valExpr.split(':');
 							if (valExprParts.length > 2)
-								throw new common.X2SyntaxError(
+								throw new QuerySyntaxError(
 									'Invalid "count" filter parameter' +
 										' value: more than 2' +
-										' colon-separated values.');
+										' colon-separated values.',
+									'invalidValue');
 							const countVal = Number(valExprParts[0]);
 							if (!Number.isInteger(countVal))
-								throw new common.X2SyntaxError(
+								throw new QuerySyntaxError(
 									'Invalid "count" filter parameter' +
-										' value: the count is not an integer.'
-								);
+										' value: the count is not an integer.',
+									'invalidValue', {
+										segment: valExprParts[0]
+									});
 							memberSpec.push(countVal);
 							nestedGroupId = valExprParts[1];
 						} else {
@@ -221,11 +1648,18 @@ function parseFilterParams(
 						// create nested group
 						let nestedGroup;
 						if (nestedGroupId) {
+							checkLimit(
+								parseCtx, 'maxCollectionDepth',
+								++parseCtx.collectionDepth,
+								'collection filter depth');
 							parentGroupIds.add(groupId);
 							nestedGroup = parseFilterParams(
 								pred.propDesc.nestedProperties, nestedGroupId,
-								':and', urlQuery, queryParams, parentGroupIds);
+								':and', urlQuery, queryParams, parentGroupIds,
+								pathPrefix + pred.propPath + '.', whitelist,
+								parseCtx);
 							parentGroupIds.delete(groupId);
+							parseCtx.collectionDepth--;
 						}
 
 						// add nested group filter to the member
@@ -237,30 +1671,20 @@ function parseFilterParams(
 
 					} else {  // not a collection test with value
 
-						// get the filter parameter value
-						let filterParamValue;
-						if (pred.multi) {
-							filterParamValue = valExpr.split('|').map(
-								v => valueToQueryParam(v, pred));
-						} else { // single value
-							filterParamValue = valueToQueryParam(valExpr, pred);
-						}
-
-						// query parameter name
-						const queryParamName =
-							`p${groupId}${nextQueryParamId++}`;
-
-						// add to query parameters
-						queryParams[queryParamName] = filterParamValue;
-
 						// add test to the group members
-						members.push([ pred.spec, dbos.param(queryParamName) ]);
+						members.push(buildValueTest(
+							pred, refExpr,
+							(pred.multi || pred.range ?
+								valExpr.split('|') : [ valExpr ]),
+							queryParams, parseCtx,
+							() => `p${groupId}${nextQueryParamId++}`));
 					}
 
 				} else { // no value
 					if (pred.requiresValue)
-						throw new common.X2SyntaxError(
-							`filter "${refExpr}" requires a value.`);
+						throw new QuerySyntaxError(
+							`filter "${refExpr}" requires a value.`,
+							'invalidValue');
 					members.push([ pred.spec ]);
 				}
 			}
@@ -271,6 +1695,221 @@ function parseFilterParams(
 	return (members.length > 0 ? [ junc, members ] : undefined);
 }
 
+/**
+ * Filter test reference expressions for the RSQL comparison operators that
+ * do not have the same name in the "f$" parameters syntax. The "$" in the
+ * expression is replaced with the selector.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const RSQL_OPS_MAPPING = {
+	'eq': '$',
+	'ne': '$!',
+	'lt': '$:min!',
+	'le': '$:max',
+	'gt': '$:max!',
+	'ge': '$:min',
+	'in': '$:alt',
+	'out': '$:alt!'
+};
+
+/**
+ * Build filter specification from a parsed RSQL filter expression.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} baseContainer Base
+ * properties container for the selectors.
+ * @param {module:x2node-ws-resources~RSQLNode} node The expression node.
+ * @param {Object.<string,*>} queryParams Query parameters to populate.
+ * @param {string} pathPrefix Prefix for property paths in the whitelist checks.
+ * @param {module:x2node-ws-resources~SearchWhitelist} [whitelist] Property
+ * paths allowed in the query.
+ * @param {Object} parseCtx Filter parsing context.
+ * @param {function} newParamName Function that returns name for a new query
+ * parameter.
+ * @returns {Array} The test or logical junction specification.
+ * @throws {common.X2SyntaxError} If the expression is invalid.
+ * @throws {module:x2node-ws-resources.QueryLimitError} If the filter exceeds
+ * the complexity limits.
+ */
+function buildRSQLFilter(
+	baseContainer, node, queryParams, pathPrefix, whitelist, parseCtx,
+	newParamName) {
+
+	// logical junction
+	if (node.junction) {
+		checkLimit(
+			parseCtx, 'maxGroupDepth', ++parseCtx.groupDepth,
+			'filter group depth');
+		const members = node.members.map(member => buildRSQLFilter(
+			baseContainer, member, queryParams, pathPrefix, whitelist,
+			parseCtx, newParamName));
+		parseCtx.groupDepth--;
+		return [ ':' + node.junction, members ];
+	}
+
+	// get the equivalent "f$" test reference expression
+	let refExpr, hasValue = true;
+	switch (node.op) {
+	case 'empty':
+		if ((node.args.length !== 1) ||
+			((node.args[0] !== 'true') && (node.args[0] !== 'false')))
+			throw new QuerySyntaxError(
+				`filter "${node.selector}=empty=" requires` +
+					` "true" or "false" value.`, 'invalidValue', {
+					segment: node.args.join(','),
+					allowed: [ 'true', 'false' ]
+				});
+		refExpr = node.selector + (node.args[0] === 'true' ? '!' : '');
+		hasValue = false;
+		break;
+	case 'any':
+		refExpr = node.selector;
+		break;
+	default:
+		refExpr = (
+			RSQL_OPS_MAPPING[node.op] ? RSQL_OPS_MAPPING[node.op].replace(
+				'$', node.selector) : `${node.selector}:${node.op}`);
+	}
+
+	// parse the predicate
+	const pred = parseQueryPropRef(
+		baseContainer, refExpr, FILTER_OPS_MAPPING, hasValue);
+	checkFilterAllowed(whitelist, pathPrefix + pred.propPath, pred.test);
+	checkLimit(
+		parseCtx, 'maxPredicates', ++parseCtx.numPredicates,
+		'number of filter tests');
+
+	// presence test
+	if (!hasValue)
+		return [ pred.spec ];
+
+	// collection tests
+	const collection = !pred.propDesc.isScalar();
+	if (node.op === 'any') {
+		if (!collection)
+			throw new QuerySyntaxError(
+				`filter "${node.selector}=any=" requires a collection.`,
+				'invalidProperty', {
+					segment: node.selector
+				});
+		checkLimit(
+			parseCtx, 'maxCollectionDepth', ++parseCtx.collectionDepth,
+			'collection filter depth');
+		const nestedMembers = (
+			node.nested.junction === 'and' ? node.nested.members :
+				[ node.nested ]
+		).map(nestedNode => buildRSQLFilter(
+			pred.propDesc.nestedProperties, nestedNode, queryParams,
+			pathPrefix + pred.propPath + '.', whitelist, parseCtx,
+			newParamName));
+		parseCtx.collectionDepth--;
+		return [ pred.spec, [ [ ':and', nestedMembers ] ] ];
+	}
+	if (collection) {
+		if (node.op !== 'count')
+			throw new QuerySyntaxError(
+				`filter "${refExpr}" is not allowed on a collection.`,
+				'unknownOperation', {
+					segment: node.op,
+					allowed: [ 'any', 'count', 'empty' ]
+				});
+		const countVal = Number(node.args[0]);
+		if ((node.args.length !== 1) || !Number.isInteger(countVal))
+			throw new QuerySyntaxError(
+				'Invalid "count" filter value: the count is not an integer.',
+				'invalidValue', {
+					segment: node.args.join(',')
+				});
+		return [ pred.spec, countVal ];
+	}
+
+	// scalar test with value
+	return buildValueTest(
+		pred, refExpr, node.args, queryParams, parseCtx, newParamName);
+}
+
+/**
+ * Build filter test for a scalar property test with value.
+ *
+ * @private
+ * @param {Object} pred Test predicate descriptor returned by
+ * <code>parseQueryPropRef()</code>.
+ * @param {string} refExpr Test reference expression for error messages.
+ * @param {Array.<string>} values Test values from the query string. Multiple
+ * values are allowed only for the "alt" and the range tests.
+ * @param {Object.<string,*>} queryParams Query parameters to populate.
+ * @param {Object} parseCtx Filter parsing context.
+ * @param {function} newParamName Function that returns name for a new query
+ * parameter.
+ * @returns {Array} The test specification.
+ * @throws {common.X2SyntaxError} If the values are invalid.
+ * @throws {module:x2node-ws-resources.QueryLimitError} If the test exceeds
+ * the complexity limits.
+ */
+function buildValueTest(
+	pred, refExpr, values, queryParams, parseCtx, newParamName) {
+
+	// range test
+	if (pred.range) {
+
+		// get the range boundaries
+		if (values.length !== 2)
+			throw new QuerySyntaxError(
+				`filter "${refExpr}" requires exactly two values.`,
+				'invalidValue');
+		const fromParamName = newParamName();
+		const toParamName = newParamName();
+		queryParams[fromParamName] = valueToQueryParam(
+			values[0], pred, parseCtx);
+		queryParams[toParamName] = valueToQueryParam(
+			values[1], pred, parseCtx);
+		const fromParam = dbos.param(fromParamName);
+		const toParam = dbos.param(toParamName);
+
+		// build the test
+		if (pred.range === 'inclusive')
+			return [ pred.spec, fromParam, toParam ];
+		if (pred.invert)
+			return [ ':or', [
+				[ `${pred.valueSpec} => le`, fromParam ],
+				[ `${pred.valueSpec} => ge`, toParam ]
+			] ];
+		return [ ':and', [
+			[ `${pred.valueSpec} => gt`, fromParam ],
+			[ `${pred.valueSpec} => lt`, toParam ]
+		] ];
+	}
+
+	// get the filter parameter value
+	let filterParamValue;
+	if (pred.multi) {
+		checkLimit(
+			parseCtx, 'maxAltValues', values.length,
+			'number of alternative values');
+		filterParamValue = values.map(
+			v => valueToQueryParam(v, pred, parseCtx));
+	} else { // single value
+		if (values.length !== 1)
+			throw new QuerySyntaxError(
+				`filter "${refExpr}" requires a single value.`,
+				'invalidValue');
+		if (pred.valueType === '$pattern')
+			checkLimit(
+				parseCtx, 'maxPatternLength',
+				values[0].length, 'pattern length');
+		filterParamValue = valueToQueryParam(values[0], pred, parseCtx);
+	}
+
+	// add to query parameters
+	const queryParamName = newParamName();
+	queryParams[queryParamName] = filterParamValue;
+
+	// build the test
+	return [ pred.spec, dbos.param(queryParamName) ];
+}
+
 /**
  * Convert filter query string parameter value to DBO query parameter value.
  *
@@ -278,10 +1917,17 @@ function parseFilterParams(
  * @param {string} val Value from the query string.
  * @param {Object} pred Descriptor of the parameter, for which to convert the
  * value.
+ * @param {Object} [parseCtx] Filter parsing context. If provided, relative date
+ * expressions are allowed for datetime values and are resolved using the
+ * context's current time and time zone.
  * @returns {*} Converted value.
  * @throws {common.X2SyntaxError} If the value is invalid.
  */
-function valueToQueryParam(val, pred) {
+function valueToQueryParam(val, pred, parseCtx) {
+
+	const error = msg => new QuerySyntaxError(msg, 'invalidValue', {
+		segment: val
+	});
 
 	let res;
 	switch (pred.valueType) {
@@ -291,6 +1937,8 @@ function valueToQueryParam(val, pred) {
 		} else {
 			res = val;
 		}
+		if (pred.lowerValue)
+			res = res.toLowerCase();
 		break;
 	case 'number':
 		if (pred.refPrefix && val.startsWith(pred.refPrefix)) {
@@ -299,8 +1947,7 @@ function valueToQueryParam(val, pred) {
 			res = Number(val);
 		}
 		if (!Number.isFinite(res))
-			throw new common.X2SyntaxError(
-				'Invalid test value, expected a number.');
+			throw error('Invalid test value, expected a number.');
 		break;
 	case 'boolean':
 		switch (val) {
@@ -311,22 +1958,31 @@ function valueToQueryParam(val, pred) {
 			res = false;
 			break;
 		default:
-			throw new common.X2SyntaxError(
-				'Invalid test value, expected "true" or "false".');
+			throw error('Invalid test value, expected "true" or "false".');
 		}
 		break;
 	case 'datetime':
-		res = new Date(val);
+		if (parseCtx && relativeDates.isRelativeDate(val)) {
+			try {
+				res = relativeDates.resolveRelativeDate(
+					val, parseCtx.now, parseCtx.timeZone);
+			} catch (err) {
+				if (err instanceof common.X2SyntaxError)
+					throw error(err.message);
+				throw err;
+			}
+		} else {
+			res = new Date(val);
+		}
 		if (Number.isNaN(res.getTime()))
-			throw new common.X2SyntaxError(
-				'Invalid test value, expected a valid datetime.');
+			throw error('Invalid test value, expected a valid datetime.');
 		res = res.toISOString();
 		break;
 	case '$pattern':
 		try {
 			res = new RegExp(val);
 		} catch (err) {
-			throw new common.X2SyntaxError(
+			throw error(
 				'Invalid test value, expected a valid regular expression.');
 		}
 		res = res.source;
@@ -350,14 +2006,17 @@ function valueToQueryParam(val, pred) {
  * @param {Object.<string,string>} opsMapping Mapping for end operations.
  * @param {boolean} [hasValue] Optional flag telling if there is a value
  * associated with the expression.
- * @returns {Object} Result descriptor with the value specification and
- * value type.
+ * @returns {Object} Result descriptor with the property path, the value
+ * specification, the value type and the test name.
  * @throws {common.X2SyntaxError} If the value expression is invalid.
  */
 function parseQueryPropRef(baseContainer, propRef, opsMapping, hasValue) {
 
-	const error = msg => new common.X2SyntaxError(
-		`Invalid expression "${propRef}": ${msg}`);
+	const error = (msg, kind, segment, allowed) => new QuerySyntaxError(
+		`Invalid expression "${propRef}": ${msg}`, kind, {
+			segment: segment,
+			allowed: allowed
+		});
 
 	const invert = propRef.endsWith('!');
 	if (invert)
@@ -376,9 +2035,13 @@ function parseQueryPropRef(baseContainer, propRef, opsMapping, hasValue) {
 			let container = baseContainer;
 			for (let propName of propRefPart.split('.')) {
 				if (!container || !container.hasProperty(propName))
-					throw error('invalid property path.');
+					throw error(
+						'invalid property path.', 'unknownProperty', propName,
+						(container ? container.allPropertyNames : []));
 				if (collection)
-					throw error('non-scalar intermediate.');
+					throw error(
+						'non-scalar intermediate.', 'invalidProperty',
+						propName);
 				propDesc = container.getPropertyDesc(propName);
 				if (!propDesc.isScalar())
 					collection = true;
@@ -389,12 +2052,15 @@ function parseQueryPropRef(baseContainer, propRef, opsMapping, hasValue) {
 					refPrefix = targetDesc.name + '#';
 				} else {
 					valueType = propDesc.scalarValueType;
+					refPrefix = undefined;
 				}
 				container = propDesc.nestedProperties;
 			}
 
 			if ((valueType === 'object') && !collection)
-				throw error('nested object used for non-collection test.');
+				throw error(
+					'nested object used for non-collection test.',
+					'invalidProperty', propRefPart);
 
 		} else {
 
@@ -405,44 +2071,67 @@ function parseQueryPropRef(baseContainer, propRef, opsMapping, hasValue) {
 				if (propRefPart === 'count') {
 					opRef = propRefPart;
 					if (i < len - 1)
-						throw error('"count" must be the only operation.');
+						throw error(
+							'"count" must be the only operation.', 'syntax',
+							propRefParts[i + 1]);
 				} else {
-					throw error('transformation or operation on a non-scalar.');
+					throw error(
+						'transformation or operation on a non-scalar.',
+						'unknownOperation', propRefPart, [ 'count' ]);
 				}
 
 			} else switch (propRefPart) {
 
 			case 'len':
 				if (valueType !== 'string')
-					throw error('transformation "len" expects string input.');
+					throw error(
+						'transformation "len" expects string input.',
+						'invalidArgument', propRefPart);
 				spec = `length(${spec})`;
 				valueType = 'number';
 				break;
 
 			case 'lc':
 				if (valueType !== 'string')
-					throw error('transformation "lc" expects string input.');
+					throw error(
+						'transformation "lc" expects string input.',
+						'invalidArgument', propRefPart);
 				spec = `lower(${spec})`;
 				valueType = 'string';
 				break;
 
+			case 'uc':
+				if (valueType !== 'string')
+					throw error(
+						'transformation "uc" expects string input.',
+						'invalidArgument', propRefPart);
+				spec = `upper(${spec})`;
+				valueType = 'string';
+				break;
+
 			case 'sub':
 				if (valueType !== 'string')
-					throw error('transformation "sub" expects string input.');
+					throw error(
+						'transformation "sub" expects string input.',
+						'invalidArgument', propRefPart);
 				if (i + 2 >= len)
-					throw error('transformation "sub" expects two arguments.');
+					throw error(
+						'transformation "sub" expects two arguments.',
+						'invalidArgument', propRefPart);
 				arg1 = Number(propRefParts[++i]);
 				if (!Number.isInteger(arg1) || (arg1 < 0))
 					throw error(
 						'transformation "sub" expects positive' +
-							' integer first argument.');
+							' integer first argument.',
+						'invalidArgument', propRefParts[i]);
 				arg2 = propRefParts[++i];
 				if (arg2.length > 0) {
 					arg2 = Number(arg2);
 					if (!Number.isInteger(arg2) || (arg2 < 0))
 						throw error(
 							'transformation "sub" expects empty or' +
-								' positive integer second argument.');
+								' positive integer second argument.',
+							'invalidArgument', propRefParts[i]);
 					spec = `substring(${spec}, ${arg1}, ${arg2})`;
 				} else {
 					spec = `substring(${spec}, ${arg1})`;
@@ -452,28 +2141,36 @@ function parseQueryPropRef(baseContainer, propRef, opsMapping, hasValue) {
 
 			case 'lpad':
 				if (valueType !== 'string')
-					throw error('transformation "lpad" expects string input.');
+					throw error(
+						'transformation "lpad" expects string input.',
+						'invalidArgument', propRefPart);
 				if (i + 2 >= len)
-					throw error('transformation "lpad" expects two arguments.');
+					throw error(
+						'transformation "lpad" expects two arguments.',
+						'invalidArgument', propRefPart);
 				arg1 = Number(propRefParts[++i]);
 				if (!Number.isInteger(arg1) || (arg1 < 0))
 					throw error(
 						'transformation "lpad" expects positive' +
-							' integer first argument.');
+							' integer first argument.',
+						'invalidArgument', propRefParts[i]);
 				arg2 = propRefParts[++i];
 				if (arg2.length === 0)
 					arg2 = ' ';
 				else if (arg2.length > 1)
 					throw error(
 						'transformation "lpad" expects empty or' +
-							' single character second argument.');
+							' single character second argument.',
+						'invalidArgument', propRefParts[i]);
 				spec = `lpad(${spec}, ${arg1}, "${arg2}")`;
 				valueType = 'string';
 				break;
 
 			default:
 				if (i < len - 1)
-					throw error('unknown transformation.');
+					throw error(
+						'unknown transformation.', 'unknownTransformation',
+						propRefPart, TRANSFORMATIONS);
 				opRef = propRefPart;
 				dropRef = false;
 			}
@@ -489,7 +2186,11 @@ function parseQueryPropRef(baseContainer, propRef, opsMapping, hasValue) {
 			opRef += '!';
 		op = opsMapping[opRef];
 		if (!op)
-			throw error('unknown operation.');
+			throw error(
+				'unknown operation.', 'unknownOperation', opRef,
+				Object.keys(opsMapping).filter(o => (
+					!o.startsWith('$') && !o.endsWith('!') &&
+						((o === 'count') === collection))));
 	} else {
 		opRef = '$default';
 		if (collection)
@@ -500,18 +2201,53 @@ function parseQueryPropRef(baseContainer, propRef, opsMapping, hasValue) {
 			opRef += '!';
 		op = opsMapping[opRef];
 		if (!op)
-			throw error('this type of expression is not allowed.');
+			throw error('this type of expression is not allowed.', 'syntax');
+	}
+
+	// case-insensitive equality compares lower-cased values
+	const baseOpRef = opRef.replace(/!$/, '');
+	if (baseOpRef === 'eqi') {
+		if (valueType !== 'string')
+			throw error(
+				'operation "eqi" expects string input.', 'invalidArgument',
+				baseOpRef);
+		if (refPrefix !== undefined)
+			throw error(
+				'operation "eqi" is not supported for reference properties.',
+				'invalidArgument', baseOpRef);
+		spec = `lower(${spec})`;
 	}
 
 	return {
+		propPath: propRefParts[0],
 		propDesc: propDesc,
+		test: (
+			opRef.startsWith('$default') ?
+				(hasValue && !collection ? 'eq' : 'empty') :
+				opRef.replace(/!$/, '')
+		),
 		spec: `${spec} => ${op}`,
+		valueSpec: spec,
+		invert: invert,
 		valueType: (opRef.startsWith('pat') ? '$pattern' : valueType),
 		refPrefix: refPrefix,
+		lowerValue: (baseOpRef === 'eqi'),
 		multi: (opRef.startsWith('alt')),
+		range: (
+			baseOpRef === 'rng' ? 'inclusive' :
+				baseOpRef === 'rngx' ? 'exclusive' : undefined),
 		requiresValue: !opRef.startsWith('$default')
 	};
 }
 
-// export the parser function
+// export the parser functions
+exports.QuerySyntaxError = QuerySyntaxError;
+exports.QueryLimitError = QueryLimitError;
 exports.parseSearchQuery = parseSearchQuery;
+exports.parseSearchDocument = parseSearchDocument;
+exports.completeCursorPage = completeCursorPage;
+exports.parseTextSearchProps = parseTextSearchProps;
+exports.parseFacets = parseFacets;
+exports.countFacetValues = countFacetValues;
+exports.parseDistinct = parseDistinct;
+exports.collectDistinctValues = collectDistinctValues;
@@ -0,0 +1,497 @@
+'use strict';
+
+const common = require('x2node-common');
+const dbos = require('x2node-dbos');
+
+
+/**
+ * Pattern for the filter test predicate in the fetch DBO query specification.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const DBO_PREDICATE_PATTERN = /^\s*(.*?)\s*=>\s*(!?\w+)\s*$/;
+
+/**
+ * Pattern for the logical junction predicate.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const JUNCTION_PATTERN = /^:(!?)(and|or)(!?)$/;
+
+/**
+ * Reference expression suffixes for the fetch DBO value tests.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const VALUE_TESTS_MAPPING = {
+	'eq': '',
+	'ne': '!',
+	'ge': ':min',
+	'le': ':max',
+	'lt': ':min!',
+	'gt': ':max!',
+	'matchesi': ':pat',
+	'containsi': ':mid',
+	'startsi': ':pre',
+	'matches': ':patcs',
+	'contains': ':midcs',
+	'starts': ':precs',
+	'in': ':alt',
+	'!matchesi': ':pat!',
+	'!containsi': ':mid!',
+	'!startsi': ':pre!',
+	'!matches': ':patcs!',
+	'!contains': ':midcs!',
+	'!starts': ':precs!',
+	'!in': ':alt!'
+};
+
+/**
+ * Pattern for the value expression of the order element added by the search
+ * query parser for the "nullsfirst" and "nullslast" order modifiers.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const NULLS_ORDER_PATTERN = /^coalesce\(length\(concat\((.*), ""\)\) \* 0, 1\)$/;
+
+/**
+ * Transformation names for the fetch DBO value functions without arguments.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const TRANSFORMATIONS_MAPPING = {
+	'length': 'len',
+	'lower': 'lc',
+	'upper': 'uc'
+};
+
+/**
+ * Convert fetch DBO value expression to the query string property reference
+ * expression with transformations.
+ *
+ * @private
+ * @param {string} expr The value expression.
+ * @returns {string} The property reference expression.
+ * @throws {module:x2node-common.X2UsageError} If the expression cannot be
+ * represented in the query string.
+ */
+function valueExprToPropRef(expr) {
+
+	let m = /^(length|lower|upper)\((.*)\)$/.exec(expr);
+	if (m)
+		return valueExprToPropRef(m[2]) + ':' + TRANSFORMATIONS_MAPPING[m[1]];
+
+	m = (
+		/^substring\((.*),\s*(\d+),\s*(\d+)\)$/.exec(expr) ||
+			/^substring\((.*),\s*(\d+)\)$/.exec(expr));
+	if (m)
+		return valueExprToPropRef(m[1]) + `:sub:${m[2]}:${m[3] || ''}`;
+
+	m = /^lpad\((.*),\s*(\d+),\s*"([^:])"\)$/.exec(expr);
+	if (m)
+		return valueExprToPropRef(m[1]) +
+			`:lpad:${m[2]}:${m[3] === ' ' ? '' : m[3]}`;
+
+	if (!/^\w+(?:\.\w+)*$/.test(expr))
+		throw new common.X2UsageError(
+			`Value expression "${expr}" cannot be represented in a search` +
+				` query string.`);
+
+	return expr;
+}
+
+/**
+ * Convert filter test element of the fetch DBO query specification to the
+ * builder form. Elements that are already in the builder form are returned as
+ * is.
+ *
+ * @private
+ * @param {Array} element The filter test element.
+ * @param {Object.<string,*>} [queryParams] Query parameter values for the
+ * parameter placeholders in the element.
+ * @returns {Array} The element in the builder form.
+ * @throws {module:x2node-common.X2UsageError} If the element cannot be
+ * represented in the query string.
+ */
+function toBuilderElement(element, queryParams) {
+
+	const m = DBO_PREDICATE_PATTERN.exec(element[0]);
+	if (!m)
+		return element;
+
+	const propRef = valueExprToPropRef(m[1]);
+	const test = m[2];
+
+	const resolve = v => {
+		if (!dbos.isParam(v))
+			return v;
+		if (!queryParams || (queryParams[v.name] === undefined))
+			throw new common.X2UsageError(
+				`Missing value for query parameter "${v.name}".`);
+		return queryParams[v.name];
+	};
+
+	switch (test) {
+	case 'empty':
+	case '!empty':
+		return [ propRef + (test === 'empty' ? '!' : '') ].concat(
+			element.slice(1));
+	case 'count':
+	case '!count':
+		return [ propRef + ':count' + (test === 'count' ? '' : '!') ].concat(
+			element.slice(1));
+	case 'between':
+	case '!between':
+		return [
+			propRef + ':rng' + (test === 'between' ? '' : '!'),
+			[ resolve(element[1]), resolve(element[2]) ]
+		];
+	}
+
+	const suffix = VALUE_TESTS_MAPPING[test];
+	if (suffix === undefined)
+		throw new common.X2UsageError(
+			`Filter test "${test}" cannot be represented in a search` +
+				` query string.`);
+
+	return [ propRef + suffix, resolve(element[1]) ];
+}
+
+/**
+ * Match logical junction generated by the search query parser for the
+ * exclusive range test ("rngx").
+ *
+ * @private
+ * @param {Array} element The filter element.
+ * @returns {Object} Object with <code>valueExpr</code> and
+ * <code>invert</code> properties, or <code>null</code> if the element is not
+ * an exclusive range test.
+ */
+function matchExclusiveRange(element) {
+
+	const juncMatch = JUNCTION_PATTERN.exec(element[0]);
+	if (!juncMatch || juncMatch[1] || juncMatch[3] ||
+		!Array.isArray(element[1]) || (element[1].length !== 2))
+		return null;
+
+	const invert = (juncMatch[2] === 'or');
+	const tests = (invert ? [ 'le', 'ge' ] : [ 'gt', 'lt' ]);
+	const preds = element[1].map(test => (
+		Array.isArray(test) && (test.length === 2) &&
+			((typeof test[0]) === 'string') &&
+			DBO_PREDICATE_PATTERN.exec(test[0])));
+	if (!preds[0] || !preds[1] || (preds[0][1] !== preds[1][1]) ||
+		(preds[0][2] !== tests[0]) || (preds[1][2] !== tests[1]))
+		return null;
+
+	return {
+		valueExpr: preds[0][1],
+		invert: invert
+	};
+}
+
+/**
+ * Convert logical junction generated by the search query parser for the
+ * exclusive range test ("rngx") back to the test in the builder form.
+ *
+ * @private
+ * @param {Array} element The filter element.
+ * @param {Object.<string,*>} [queryParams] Query parameter values for the
+ * parameter placeholders in the element.
+ * @returns {Array} The range test in the builder form, or <code>null</code>
+ * if the element is not an exclusive range test.
+ * @throws {module:x2node-common.X2UsageError} If the element cannot be
+ * represented in the query string.
+ */
+function toExclusiveRangeElement(element, queryParams) {
+
+	const range = matchExclusiveRange(element);
+	if (!range)
+		return null;
+
+	return [
+		valueExprToPropRef(range.valueExpr) + ':rngx' +
+			(range.invert ? '!' : ''),
+		element[1].map(test => toBuilderElement(test, queryParams)[1])
+	];
+}
+
+/**
+ * Tell if the value is a nested filter specification rather than a test
+ * value.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {boolean} <code>true</code> if nested filter.
+ */
+function isNestedFilter(val) {
+
+	return (
+		Array.isArray(val) && (val.length > 0) &&
+			val.every(element => Array.isArray(element)));
+}
+
+/**
+ * Get the members of the filter, which are implicitly combined with logical
+ * conjunction. A filter that consists of a single conjunction is unwrapped,
+ * unless it is an exclusive range test.
+ *
+ * @private
+ * @param {Array} filter The filter specification.
+ * @returns {Array} The members.
+ */
+function getConjunctionMembers(filter) {
+
+	return (
+		(filter.length === 1) && (filter[0][0] === ':and') &&
+			!matchExclusiveRange(filter[0]) ?
+			filter[0][1] : filter);
+}
+
+/**
+ * Format test value for the query string.
+ *
+ * @private
+ * @param {*} val The value.
+ * @param {boolean} multi <code>true</code> if the value is one of several
+ * values separated with "|".
+ * @returns {string} The formatted value.
+ * @throws {module:x2node-common.X2UsageError} If the value cannot be
+ * represented in the query string.
+ */
+function formatValue(val, multi) {
+
+	let res;
+	if (val instanceof Date)
+		res = val.toISOString();
+	else if ((typeof val) === 'string')
+		res = val;
+	else if (((typeof val) === 'number') || ((typeof val) === 'boolean'))
+		res = String(val);
+	else
+		throw new common.X2UsageError(
+			`Invalid filter test value ${JSON.stringify(val)}.`);
+
+	if (res.length === 0)
+		throw new common.X2UsageError(
+			'Empty filter test value cannot be represented in a search' +
+				' query string.');
+	if (multi && (res.indexOf('|') >= 0))
+		throw new common.X2UsageError(
+			`Filter test value "${res}" contains "|" and cannot be used in a` +
+				` list of values.`);
+
+	return res;
+}
+
+/**
+ * Add filter group parameters to the query string parameters list.
+ *
+ * @private
+ * @param {Object} ctx Serialization context with the parameters list, the
+ * query parameter values and the group id generator.
+ * @param {string} groupId The filter group id.
+ * @param {Array} members The group members.
+ * @throws {module:x2node-common.X2UsageError} If the filter cannot be
+ * represented in the query string.
+ */
+function addFilterGroup(ctx, groupId, members) {
+
+	for (let element of members) {
+
+		// validate the element
+		if (!Array.isArray(element) || ((typeof element[0]) !== 'string'))
+			throw new common.X2UsageError(
+				'Invalid filter element: expected an array with a predicate.');
+
+		// check if nested group
+		const rangeElement = toExclusiveRangeElement(
+			element, ctx.queryParams);
+		const juncMatch = (!rangeElement && JUNCTION_PATTERN.exec(element[0]));
+		if (juncMatch) {
+			if (!Array.isArray(element[1]))
+				throw new common.X2UsageError(
+					'Invalid filter element: logical junction must be' +
+						' followed by an array of nested elements.');
+			const nestedGroupId = ctx.newGroupId();
+			ctx.params.push([
+				`${groupId}$:${juncMatch[2]}` +
+					(juncMatch[1] || juncMatch[3] ? '!' : ''),
+				nestedGroupId
+			]);
+			addFilterGroup(ctx, nestedGroupId, element[1]);
+			continue;
+		}
+
+		// get the test in the builder form
+		const test = (
+			rangeElement || toBuilderElement(element, ctx.queryParams));
+		const paramName = `${groupId}$${test[0]}`;
+		const val = test[1];
+
+		// no value test
+		if (val === undefined) {
+			ctx.params.push([ paramName, '' ]);
+
+		// collection test with nested filter
+		} else if (isNestedFilter(val)) {
+			const nestedGroupId = ctx.newGroupId();
+			ctx.params.push([ paramName, nestedGroupId ]);
+			addFilterGroup(ctx, nestedGroupId, getConjunctionMembers(val));
+
+		// collection count test
+		} else if (/:count!?$/.test(test[0])) {
+			if (!Number.isInteger(val))
+				throw new common.X2UsageError(
+					`Invalid filter element "${test[0]}": expected an integer` +
+						` count.`);
+			let paramVal = String(val);
+			if (isNestedFilter(test[2])) {
+				const nestedGroupId = ctx.newGroupId();
+				paramVal += ':' + nestedGroupId;
+				addFilterGroup(
+					ctx, nestedGroupId, getConjunctionMembers(test[2]));
+			}
+			ctx.params.push([ paramName, paramVal ]);
+
+		// list of values
+		} else if (Array.isArray(val)) {
+			ctx.params.push([
+				paramName, val.map(v => formatValue(v, true)).join('|') ]);
+
+		// single value
+		} else {
+			ctx.params.push([ paramName, formatValue(val, false) ]);
+		}
+	}
+}
+
+/**
+ * Convert order specification to the query string "o" parameter elements. The
+ * elements added by the search query parser for the null placement modifiers
+ * are converted back to the modifiers.
+ *
+ * @private
+ * @param {Array.<string>} order The order specification, either in the fetch
+ * DBO query specification form or in the query string form.
+ * @returns {Array.<string>} The order elements in the query string form.
+ * @throws {module:x2node-common.X2UsageError} If the order cannot be
+ * represented in the query string.
+ */
+function toOrderRefs(order) {
+
+	const refs = new Array();
+	let nullsModifier;
+	for (let element of order) {
+
+		// query string form
+		const m = DBO_PREDICATE_PATTERN.exec(element);
+		if (!m) {
+			refs.push(element);
+			continue;
+		}
+
+		// fetch DBO specification form
+		if ((m[2] !== 'asc') && (m[2] !== 'desc'))
+			throw new common.X2UsageError(
+				`Invalid order element "${element}".`);
+		if (NULLS_ORDER_PATTERN.test(m[1])) {
+			nullsModifier = (m[2] === 'desc' ? 'nullsfirst' : 'nullslast');
+			continue;
+		}
+		refs.push(
+			valueExprToPropRef(m[1]) + (m[2] === 'desc' ? ':desc' : '') +
+				(nullsModifier ? ':' + nullsModifier : ''));
+		nullsModifier = undefined;
+	}
+
+	return refs;
+}
+
+/**
+ * Encode query string parameter name or value. The characters used by the
+ * search query syntax that are allowed in the URL query component are left
+ * unescaped for readability.
+ *
+ * @private
+ * @param {string} val The name or value.
+ * @returns {string} The encoded string.
+ */
+function encode(val) {
+
+	return encodeURIComponent(val).replace(/%(?:24|3A|2C)/g, decodeURIComponent);
+}
+
+/**
+ * Build URL query string for the collection search request from a query
+ * specification. The specification can be either the fetch DBO query
+ * specification in the form returned by
+ * [parseSearchQuery()]{@link module:x2node-ws-resources.parseSearchQuery}
+ * together with the query parameters it populates, or the builder form, in
+ * which the filter tests and the order elements are the property reference
+ * expressions used in the query string. In the builder form, a filter test is
+ * an array with the reference expression (for example "placedOn:min" or
+ * "status!") followed by the optional test value. The value is a string, a
+ * number, a boolean, a <code>Date</code> or an array of those for the "alt"
+ * and range tests. For a collection test, the value is the nested filter for
+ * the collection elements, or, for the "count" test, the count followed by the
+ * optional nested filter. Logical junctions are the same in both forms. The
+ * nested filter groups are assigned generated ids. Parsing the resulting query
+ * string produces an equivalent query specification.
+ *
+ * @function module:x2node-ws-resources.buildSearchQueryString
+ * @param {Object} querySpec The query specification with optional "props",
+ * "filter", "order" and "range" properties.
+ * @param {Object.<string,*>} [queryParams] Query parameter values for the
+ * parameter placeholders in the fetch DBO query specification filter.
+ * @returns {string} The query string without the leading "?".
+ * @throws {module:x2node-common.X2UsageError} If the query specification is
+ * invalid or cannot be represented in the query string.
+ */
+function buildSearchQueryString(querySpec, queryParams) {
+
+	const ctx = {
+		params: new Array(),
+		queryParams: queryParams,
+		newGroupId: (() => {
+			let nextGroupId = 1;
+			return () => `g${nextGroupId++}`;
+		})()
+	};
+
+	// selected properties
+	if (querySpec.props)
+		ctx.params.push([ 'p', (
+			Array.isArray(querySpec.props) ?
+				querySpec.props.join(',') : querySpec.props) ]);
+
+	// filter
+	if (querySpec.filter)
+		addFilterGroup(ctx, 'f', getConjunctionMembers(querySpec.filter));
+
+	// order
+	if (querySpec.order && (querySpec.order.length > 0))
+		ctx.params.push([
+			'o', toOrderRefs(querySpec.order).join(',') ]);
+
+	// range
+	if (querySpec.range) {
+		if (!Array.isArray(querySpec.range) || (querySpec.range.length !== 2) ||
+			!querySpec.range.every(v => Number.isInteger(v)))
+			throw new common.X2UsageError(
+				'Invalid range: expected an array of two integers.');
+		ctx.params.push([ 'r', querySpec.range.join(',') ]);
+	}
+
+	// build the query string
+	return ctx.params.map(
+		param => `${encode(param[0])}=${encode(param[1])}`).join('&');
+}
+
+// export the serializer function
+exports.buildSearchQueryString = buildSearchQueryString;
@@ -0,0 +1,325 @@
+'use strict';
+
+const assert = require('assert');
+const querystring = require('querystring');
+const records = require('x2node-records');
+const dbos = require('x2node-dbos');
+
+const resources = require('../index.js');
+
+
+// record types used by the tests
+const recordTypes = records.with(dbos).buildLibrary({
+	recordTypes: {
+		'Account': {
+			table: 'accounts',
+			properties: {
+				'id': { valueType: 'number', role: 'id' },
+				'firstName': { valueType: 'string', column: 'fname' },
+				'lastName': { valueType: 'string', column: 'lname' }
+			}
+		},
+		'Product': {
+			table: 'products',
+			properties: {
+				'id': { valueType: 'string', role: 'id' },
+				'name': { valueType: 'string' }
+			}
+		},
+		'Order': {
+			table: 'orders',
+			properties: {
+				'id': { valueType: 'number', role: 'id' },
+				'accountRef': { valueType: 'ref(Account)', column: 'account_id' },
+				'placedOn': { valueType: 'datetime', column: 'placed_on' },
+				'status': { valueType: 'string' },
+				'code': { valueType: 'string', optional: true },
+				'total': { valueType: 'number' },
+				'paid': { valueType: 'boolean', optional: true },
+				'tags': {
+					valueType: 'string[]',
+					table: 'order_tags',
+					parentIdColumn: 'order_id',
+					column: 'tag'
+				},
+				'items': {
+					valueType: 'object[]',
+					table: 'order_items',
+					parentIdColumn: 'order_id',
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'productRef': {
+							valueType: 'ref(Product)',
+							column: 'product_id'
+						},
+						'quantity': { valueType: 'number' }
+					}
+				}
+			}
+		}
+	}
+});
+const recordTypeDesc = recordTypes.getRecordTypeDesc('Order');
+
+/**
+ * Parse URL query string into a query specification with the query parameter
+ * placeholders replaced with the parameter values.
+ *
+ * @private
+ * @param {string} qs The query string.
+ * @param {string} [queryParts] Query parts to parse, "pfor" by default.
+ * @returns {Object} The query specification.
+ */
+function parse(qs, queryParts) {
+
+	const queryParams = new Object();
+	const querySpec = resources.parseSearchQuery(
+		recordTypeDesc, querystring.parse(qs), (queryParts || 'pfor'),
+		queryParams, {});
+
+	return {
+		querySpec: querySpec,
+		queryParams: queryParams,
+		resolved: resolveParams(querySpec, queryParams)
+	};
+}
+
+/**
+ * Replace query parameter placeholders with the parameter values, so that
+ * specifications with different generated parameter names can be compared.
+ *
+ * @private
+ * @param {*} val The specification element.
+ * @param {Object.<string,*>} queryParams The query parameter values.
+ * @returns {*} The element with the placeholders replaced.
+ */
+function resolveParams(val, queryParams) {
+
+	if (dbos.isParam(val))
+		return { param: queryParams[val.name] };
+	if (Array.isArray(val))
+		return val.map(v => resolveParams(v, queryParams));
+	if ((val !== null) && ((typeof val) === 'object')) {
+		const res = new Object();
+		for (let key of Object.keys(val))
+			res[key] = resolveParams(val[key], queryParams);
+		return res;
+	}
+
+	return val;
+}
+
+/**
+ * Encode cursor for the cursor pagination parameter.
+ *
+ * @private
+ * @param {Object} cursor The cursor object.
+ * @returns {string} The encoded cursor.
+ */
+function encodeCursor(cursor) {
+
+	return Buffer.from(JSON.stringify(cursor), 'utf8').toString('base64');
+}
+
+/**
+ * Check that parsing the query string, serializing the result and parsing it
+ * again gives an equivalent query specification.
+ *
+ * @private
+ * @param {string} qs The query string.
+ */
+function testRoundTrip(qs) {
+
+	const first = parse(qs);
+	const serialized = resources.buildSearchQueryString(
+		first.querySpec, first.queryParams);
+	const second = parse(serialized);
+
+	assert.deepStrictEqual(
+		second.resolved, first.resolved,
+		`round trip of "${qs}" through "${serialized}"`);
+	assert.strictEqual(
+		resources.buildSearchQueryString(
+			second.querySpec, second.queryParams),
+		serialized,
+		`repeated serialization of "${qs}"`);
+}
+
+// the tests
+const tests = {
+
+	'selected properties': () => {
+		testRoundTrip('p=*,accountRef.firstName,items.quantity');
+	},
+
+	'value tests': () => {
+		testRoundTrip('f$status=OPEN&f$status!=CLOSED&f$total:min=10');
+		testRoundTrip('f$total:max!=100&f$total:min!=1&f$total:max=99');
+		testRoundTrip('f$placedOn:min=2020-01-01T00:00:00.000Z');
+		testRoundTrip('f$paid=true&f$accountRef=Account%231');
+	},
+
+	'pattern tests': () => {
+		testRoundTrip('f$status:pat=^O.*N$&f$status:patcs!=x');
+		testRoundTrip('f$status:mid=pe&f$status:midcs=Pe&f$status:mid!=z');
+		testRoundTrip('f$status:pre=op&f$status:precs=Op&f$status:pre!=c');
+	},
+
+	'presence tests': () => {
+		testRoundTrip('f$code&f$paid!');
+	},
+
+	'alternative and range tests': () => {
+		testRoundTrip('f$status:alt=OPEN|PENDING&f$total:alt!=1|2|3');
+		testRoundTrip('f$total:rng=10|20&f$total:rng!=30|40');
+	},
+
+	'case-insensitive equality': () => {
+		testRoundTrip('f$status:eqi=Open&f$code:eqi!=AbC');
+		testRoundTrip('f$items=g&g$productRef.name:eqi=Widget');
+	},
+
+	'exclusive range tests': () => {
+		testRoundTrip('f$total:rngx=10|20&f$total:rngx!=30|40');
+		testRoundTrip(
+			'f$placedOn:rngx=2020-01-01T00:00:00.000Z|2021-01-01T00:00:00.000Z');
+		testRoundTrip('f$status=OPEN&f$items=g&g$quantity:rngx=1|5');
+		assert.strictEqual(
+			resources.buildSearchQueryString({
+				filter: [ [ 'total:rngx', [ 1, 5 ] ] ]
+			}),
+			'f$total:rngx=1%7C5');
+	},
+
+	'RSQL filter': () => {
+		testRoundTrip('filter=status==OPEN;total=gt=10');
+		testRoundTrip('filter=status==OPEN,(paid==true;total=le=5)');
+		testRoundTrip('filter=status=in=(A,B);code=pre=x;total=rngx=(1,5)');
+		testRoundTrip('filter=items=any=(quantity=ge=10;productRef==Product%23a)');
+		testRoundTrip('f$status=OPEN&filter=status=eqi=open;paid==true');
+		assert.deepStrictEqual(
+			parse('filter=status==OPEN;total=lt=5').resolved,
+			parse('f$status=OPEN&f$total:min!=5').resolved);
+	},
+
+	'cursor': () => {
+		const testCursor = qs => {
+			const first = parse(qs, 'pforc');
+			const serialized = resources.buildSearchQueryString(
+				first.querySpec, first.queryParams);
+			const expected = Object.assign(new Object(), first.resolved);
+			delete expected.cursor;
+			assert.deepStrictEqual(
+				parse(serialized).resolved, expected,
+				`round trip of "${qs}" through "${serialized}"`);
+		};
+		testCursor('f$status=OPEN&o=placedOn:desc&r=0,10&c=');
+		testCursor('f$status=OPEN&c=' + encodeCursor({
+			o: 'placedOn:desc',
+			l: 10,
+			d: 'n',
+			k: [ '2020-01-01T00:00:00.000Z', 5 ]
+		}));
+		testCursor('p=status&c=' + encodeCursor({
+			o: 'status,total:desc',
+			l: 20,
+			d: 'p',
+			k: [ 'OPEN', 100, 7 ]
+		}));
+	},
+
+	'transformations': () => {
+		testRoundTrip('f$status:len:min=3&f$status:lc=open&f$status:uc=OPEN');
+		testRoundTrip('f$status:sub:1:2=PE&f$code:lpad:6:0=000042');
+	},
+
+	'logical junctions': () => {
+		testRoundTrip('f$status=OPEN&f$:or=g&g$paid&g$total:min=100');
+		testRoundTrip('f$:and!=g&g$status=OPEN&g$total:max=5');
+		testRoundTrip(
+			'f$:or=g&g$status=A&g$:and=h&h$status=B&h$total:min=1');
+	},
+
+	'collection tests': () => {
+		testRoundTrip('f$tags=OPEN&f$items=g&g$quantity:min=10');
+		testRoundTrip('f$items!=g&g$productRef=Product%23a');
+		testRoundTrip('f$items:count=2&f$tags:count!=0');
+		testRoundTrip('f$items:count=1:g&g$quantity:max=5');
+	},
+
+	'order': () => {
+		testRoundTrip('o=status,placedOn:desc');
+		testRoundTrip('o=status:ci,total:desc');
+		testRoundTrip('o=code:nullsfirst,placedOn:desc:nullslast');
+		testRoundTrip('o=status:len:desc');
+	},
+
+	'range': () => {
+		testRoundTrip('r=0,20');
+		testRoundTrip('r=40,20');
+	},
+
+	'all parameters': () => {
+		testRoundTrip(
+			'p=*,accountRef.lastName&f$status:alt=OPEN|PENDING' +
+				'&f$:or=g&g$paid&g$placedOn:min=2020-01-01T00:00:00.000Z' +
+				'&f$items=h&h$quantity:rng=1|10' +
+				'&o=code:nullslast,placedOn:desc&r=10,10');
+	},
+
+	'builder form': () => {
+		const qs = resources.buildSearchQueryString({
+			props: [ '*', 'accountRef.firstName' ],
+			filter: [
+				[ 'status:alt', [ 'PENDING', 'SHIPPED' ] ],
+				[ 'items', [
+					[ 'quantity:min', 10 ]
+				] ],
+				[ ':or', [
+					[ 'paid!' ],
+					[ 'placedOn:min', new Date(Date.UTC(2020, 0, 1)) ]
+				] ]
+			],
+			order: [ 'placedOn:desc' ],
+			range: [ 0, 20 ]
+		});
+		assert.deepStrictEqual(
+			parse(qs).resolved,
+			parse(
+				'p=*,accountRef.firstName&f$status:alt=PENDING|SHIPPED' +
+					'&f$items=g1&g1$quantity:min=10&f$:or=g2&g2$paid!' +
+					'&g2$placedOn:min=2020-01-01T00:00:00.000Z' +
+					'&o=placedOn:desc&r=0,20'
+			).resolved);
+	},
+
+	'unrepresentable specification': () => {
+		assert.throws(
+			() => resources.buildSearchQueryString({
+				filter: [ [ 'status', '' ] ]
+			}),
+			/Empty filter test value/);
+		assert.throws(
+			() => resources.buildSearchQueryString({
+				filter: [ [ 'status:alt', [ 'A|B', 'C' ] ] ]
+			}),
+			/contains "\|"/);
+	}
+};
+
+// run the tests
+let numFailed = 0;
+for (let testName of Object.keys(tests)) {
+	try {
+		tests[testName]();
+		console.log(`ok - ${testName}`);
+	} catch (err) {
+		numFailed++;
+		console.log(`not ok - ${testName}`);
+		console.log(err.stack.replace(/^/gm, '    '));
+	}
+}
+if (numFailed > 0) {
+	console.log(`${numFailed} of ${Object.keys(tests).length} tests failed`);
+	process.exitCode = 1;
+}